@@ -0,0 +1,157 @@
+// Slack mrkdwn -> Atlassian Document Format, for Jira REST v3 descriptions and comments
+
+// Bold, italic and strike only count at word edges, so snake_case and 2*3*4 stay as typed
+const INLINE_PATTERN = new RegExp([
+  '<([^<>|]+)(?:\\|([^<>]+))?>',
+  '`([^`\\n]+)`',
+  '(?<![\\w*])\\*([^*\\n]+)\\*(?![\\w*])',
+  '(?<![\\w])_([^_\\n]+)_(?![\\w])',
+  '(?<![\\w~])~([^~\\n]+)~(?![\\w~])',
+  '(https?:\\/\\/[^\\s<>]+[^\\s<>.,;:!?)\\]])'
+].join('|'), 'g');
+
+const BULLET_PATTERN = /^\s*(?:[•◦▪]|[-*])\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE_PATTERN = /^&gt;\s?(.*)$|^>\s?(.*)$/;
+
+/**
+ * Undo the HTML escaping Slack applies to &, < and >
+ */
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * A text node with the given marks
+ */
+function textNode(text, marks) {
+  const node = { type: 'text', text: decodeEntities(text) };
+  if (marks.length > 0) node.marks = marks;
+  return node;
+}
+
+/**
+ * Text for a Slack <...> reference: a link, a mention or a channel
+ */
+function convertReference(target, label, marks) {
+  if (target.startsWith('#')) return [textNode(`#${label || target.slice(1)}`, marks)];
+  if (target.startsWith('@')) return [textNode(label ? `@${label}` : target, marks)];
+  if (target.startsWith('!')) return [textNode(`@${label || target.slice(1).split('^')[0]}`, marks)];
+  // Not a link after all, e.g. "<placeholder>" typed into a template
+  if (!/^(https?:\/\/|mailto:)/i.test(target)) return [textNode(`<${target}${label ? `|${label}` : ''}>`, marks)];
+
+  const href = decodeEntities(target);
+  return [textNode(label || target.replace(/^mailto:/, ''), [...marks, { type: 'link', attrs: { href } }])];
+}
+
+/**
+ * Convert one line of mrkdwn into ADF inline nodes
+ */
+function convertInline(text, marks = []) {
+  const nodes = [];
+  let position = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > position) nodes.push(textNode(text.slice(position, match.index), marks));
+    const [, target, label, code, bold, italic, strike, url] = match;
+
+    if (target) nodes.push(...convertReference(target, label, marks));
+    // Code can only be combined with links in ADF
+    else if (code) nodes.push(textNode(code, [...marks.filter(mark => mark.type === 'link'), { type: 'code' }]));
+    else if (bold) nodes.push(...convertInline(bold, [...marks, { type: 'strong' }]));
+    else if (italic) nodes.push(...convertInline(italic, [...marks, { type: 'em' }]));
+    else if (strike) nodes.push(...convertInline(strike, [...marks, { type: 'strike' }]));
+    else if (url) nodes.push(textNode(url, [...marks, { type: 'link', attrs: { href: decodeEntities(url) } }]));
+
+    position = match.index + match[0].length;
+  }
+
+  if (position < text.length) nodes.push(textNode(text.slice(position), marks));
+  return nodes;
+}
+
+/**
+ * A paragraph of lines joined by hard breaks
+ */
+function paragraph(lines) {
+  const content = [];
+  lines.forEach((line, index) => {
+    if (index > 0) content.push({ type: 'hardBreak' });
+    content.push(...convertInline(line));
+  });
+  return { type: 'paragraph', content };
+}
+
+/**
+ * A bullet or numbered list with one paragraph per item
+ */
+function list(type, items) {
+  return {
+    type,
+    content: items.map(item => ({ type: 'listItem', content: [paragraph([item])] }))
+  };
+}
+
+/**
+ * Convert Slack mrkdwn into an ADF document: paragraphs, bullet and numbered lists,
+ * quotes, code blocks, links, and bold/italic/strike/code text
+ */
+function mrkdwnToAdf(text) {
+  const content = [];
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  let block = null;
+
+  const flush = () => {
+    if (!block) return;
+    if (block.type === 'paragraph') content.push(paragraph(block.lines));
+    else if (block.type === 'blockquote') content.push({ type: 'blockquote', content: [paragraph(block.lines)] });
+    else content.push(list(block.type, block.lines));
+    block = null;
+  };
+
+  const add = (type, line) => {
+    if (block?.type !== type) {
+      flush();
+      block = { type, lines: [] };
+    }
+    block.lines.push(line);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Code blocks run to the closing ``` and keep their text exactly as typed
+    if (line.trim().startsWith('```')) {
+      flush();
+      const codeLines = [line.trim().slice(3)];
+      let closed = codeLines[0].endsWith('```');
+      if (closed) codeLines[0] = codeLines[0].slice(0, -3);
+      while (!closed && i + 1 < lines.length) {
+        const next = lines[++i];
+        closed = next.trimEnd().endsWith('```');
+        codeLines.push(closed ? next.trimEnd().slice(0, -3) : next);
+      }
+      const code = decodeEntities(codeLines.join('\n').replace(/^\n+|\n+$/g, ''));
+      content.push({ type: 'codeBlock', content: code ? [{ type: 'text', text: code }] : [] });
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const quote = QUOTE_PATTERN.exec(line);
+    const bullet = BULLET_PATTERN.exec(line);
+    const numbered = NUMBERED_PATTERN.exec(line);
+    if (quote) add('blockquote', quote[1] ?? quote[2]);
+    else if (bullet) add('bulletList', bullet[1]);
+    else if (numbered) add('orderedList', numbered[1]);
+    else add('paragraph', line);
+  }
+  flush();
+
+  return { version: 1, type: 'doc', content };
+}
+
+module.exports = { mrkdwnToAdf };
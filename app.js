@@ -1,638 +1,3428 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { App } = require('@slack/bolt');
+const { WebClient } = require('@slack/web-api');
 const axios = require('axios');
+const { loadRoutes, parseDigestSchedule, selectRoute } = require('./routes');
+const { DETAIL_DISPLAY_NAMES, parseMessage, findMissingFields, extractMessageText } = require('./messageParser');
+const {
+  renderTemplate,
+  findMappedField,
+  getMappingValue,
+  getMappingType,
+  buildFieldValues,
+  collectMappedValues,
+  getRequestTypeFields,
+  getIssueTypeFields,
+  buildServiceDeskPayload,
+  buildIssuePayload
+} = require('./fieldMapping');
+const {
+  DATE_DETAILS,
+  getBusinessClock,
+  getTodayIsoDate,
+  formatLocalDate,
+  formatDateForJira,
+  formatDateForDisplay,
+  getDateWarnings
+} = require('./dates');
+const { log, boltLogger } = require('./logger');
+const {
+  incrementCounter,
+  getFailureCause,
+  trackSlackConnection,
+  markSlackReceiverListening,
+  handleHealthCheck,
+  handleMetrics
+} = require('./monitoring');
+const {
+  jira,
+  JIRA_AUTH_TYPE,
+  JIRA_API_VERSION,
+  getJiraConfigProblem,
+  describeJiraCredentials,
+  jiraApiPath,
+  jiraSearchPath,
+  jiraUserReference,
+  toJiraRichText
+} = require('./jiraClient');
+const {
+  recordAuditEntry,
+  loadAuditEntries,
+  parseAuditQuery,
+  filterAuditEntries,
+  auditEntriesToCsv
+} = require('./audit');
+
+// "socket" (default) keeps an outbound connection to Slack; "http" takes events at
+// /slack/events, verified with SLACK_SIGNING_SECRET
+const SLACK_MODE = (process.env.SLACK_MODE || 'socket').toLowerCase();
+
+// With a client ID the app is installed per workspace through /slack/install instead of using one bot token
+const SLACK_OAUTH_ENABLED = Boolean(process.env.SLACK_CLIENT_ID);
+
+const PORT = Number(process.env.PORT) || 3000;
+
+// Bot scopes requested when a workspace installs the app
+const SLACK_BOT_SCOPES = [
+  'channels:history', 'channels:read', 'chat:write', 'reactions:read', 'reactions:write',
+  'users:read', 'users:read.email', 'usergroups:read', 'files:read', 'files:write', 'im:write', 'commands'
+];
+
+const INSTALLATION_STORE_PATH = process.env.INSTALLATION_STORE_PATH || path.join(__dirname, 'data', 'installations.json');
+
+/**
+ * What's wrong with the Slack connection settings, or null if they're complete
+ */
+function getSlackConfigProblem() {
+  if (!['socket', 'http'].includes(SLACK_MODE)) {
+    return `Unknown SLACK_MODE "${SLACK_MODE}" - use socket or http`;
+  }
+
+  const required = [
+    ...(SLACK_MODE === 'socket' ? ['SLACK_APP_TOKEN'] : ['SLACK_SIGNING_SECRET']),
+    ...(SLACK_OAUTH_ENABLED ? ['SLACK_CLIENT_SECRET', 'SLACK_STATE_SECRET'] : ['SLACK_BOT_TOKEN'])
+  ];
+  const missing = required.filter(name => !process.env[name]);
+  return missing.length > 0 ? `SLACK_MODE=${SLACK_MODE}${SLACK_OAUTH_ENABLED ? ' with SLACK_CLIENT_ID' : ''} needs ${missing.join(', ')}` : null;
+}
+
+const slackConfigProblem = getSlackConfigProblem();
+if (slackConfigProblem) {
+  log.error(slackConfigProblem);
+  process.exit(1);
+}
+
+// Workspaces (or Enterprise Grid organizations) the app is installed in, with their bot tokens
+const installations = SLACK_OAUTH_ENABLED ? loadJsonFile(INSTALLATION_STORE_PATH, 'Slack installations') : {};
+
+/**
+ * Key for an installation: org-wide installs by enterprise ID, the rest by team ID
+ */
+function getInstallationKey({ isEnterpriseInstall, enterpriseId, teamId }) {
+  return isEnterpriseInstall && enterpriseId ? `enterprise:${enterpriseId}` : `team:${teamId}`;
+}
+
+/**
+ * Write the installations to disk. They hold bot tokens, so only the bot's user can read the file.
+ */
+function saveInstallations() {
+  try {
+    saveJsonFile(INSTALLATION_STORE_PATH, installations, { mode: 0o600 });
+  } catch (error) {
+    log.error('Error writing installation store', { path: INSTALLATION_STORE_PATH, error });
+  }
+}
+
+// Bolt's installation store: called by the OAuth flow and to find the token for each event
+const installationStore = {
+  storeInstallation: async installation => {
+    const key = getInstallationKey({
+      isEnterpriseInstall: installation.isEnterpriseInstall,
+      enterpriseId: installation.enterprise?.id,
+      teamId: installation.team?.id
+    });
+    installations[key] = installation;
+    saveInstallations();
+    log.info('Slack app installed', { key, workspace: installation.team?.name || installation.enterprise?.name });
+  },
+  fetchInstallation: async query => {
+    // Events from a workspace in an org-wide install come with the workspace's team ID
+    const installation = installations[getInstallationKey(query)]
+      || (query.enterpriseId && installations[`enterprise:${query.enterpriseId}`]);
+    if (!installation) {
+      throw new Error(`The app isn't installed in ${query.teamId || query.enterpriseId} - install it at /slack/install`);
+    }
+    return installation;
+  },
+  deleteInstallation: async query => {
+    const key = getInstallationKey(query);
+    installationClients.delete(installations[key]?.bot?.token);
+    delete installations[key];
+    saveInstallations();
+    log.info('Slack app uninstalled', { key });
+  }
+};
 
 // Initialize Slack app
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
+  ...(SLACK_OAUTH_ENABLED
+    ? {
+      clientId: process.env.SLACK_CLIENT_ID,
+      clientSecret: process.env.SLACK_CLIENT_SECRET,
+      stateSecret: process.env.SLACK_STATE_SECRET,
+      scopes: SLACK_BOT_SCOPES,
+      installationStore: installationStore
+    }
+    : { token: process.env.SLACK_BOT_TOKEN }),
   signingSecret: process.env.SLACK_SIGNING_SECRET,
-  socketMode: true,
+  socketMode: SLACK_MODE === 'socket',
   appToken: process.env.SLACK_APP_TOKEN,
+  logger: boltLogger,
+  // Bolt sets its logger's level to this (default info), which would override LOG_LEVEL
+  logLevel: boltLogger.getLevel(),
+  // HTTP endpoints served alongside Slack's: health, metrics and Jira webhooks
+  customRoutes: [
+    { path: '/healthz', method: ['GET'], handler: handleHealthCheck },
+    { path: '/metrics', method: ['GET'], handler: handleMetrics },
+    ...(process.env.JIRA_WEBHOOK_SECRET
+      ? [{ path: '/jira/webhook', method: ['POST'], handler: handleJiraWebhook }]
+      : []),
+    ...(process.env.ADMIN_API_TOKEN
+      ? [{ path: '/admin/refresh-jira-metadata', method: ['POST'], handler: handleMetadataRefresh }]
+      : [])
+  ],
+  installerOptions: {
+    // Socket Mode serves the custom routes and install pages on their own port; in HTTP mode app.start(PORT) does
+    ...(SLACK_MODE === 'socket' ? { port: PORT } : {}),
+    // Go straight to Slack's consent screen from /slack/install
+    directInstall: true
+  },
 });
 
-// Configuration
-const TRIGGER_EMOJI = process.env.TRIGGER_EMOJI || 'eyes'; // 👀 by default
-const ONBOARDING_CHANNEL = process.env.ONBOARDING_CHANNEL || 'eel-onboarding';
-const JIRA_PROJECT_KEY = process.env.JIRA_PROJECT_KEY;
-const JIRA_ISSUE_TYPE = process.env.JIRA_ISSUE_TYPE || 'Task';
+// Report the Socket Mode connection at /healthz
+if (app.receiver?.client) {
+  trackSlackConnection(app.receiver.client);
+}
+
+// Web API clients for installed workspaces, keyed by bot token
+const installationClients = new Map();
+
+// Workspace of each event's client, so stored tickets know which token to use later
+const clientWorkspaces = new WeakMap();
+
+/**
+ * The workspace a Slack client acts in: { teamId, enterpriseId }, or {} with a single bot token
+ */
+async function getClientWorkspace(client) {
+  if (!SLACK_OAUTH_ENABLED) return {};
+
+  if (!clientWorkspaces.has(client)) {
+    try {
+      const result = await client.auth.test();
+      clientWorkspaces.set(client, { teamId: result.team_id, enterpriseId: result.enterprise_id || undefined });
+    } catch (error) {
+      // Not worth failing a ticket over - later work falls back to the only installation
+      log.error('Error looking up Slack workspace', { error });
+      return {};
+    }
+  }
+  return clientWorkspaces.get(client);
+}
+
+/**
+ * A Slack client for work that doesn't come from an event (outbox retries, Jira webhooks,
+ * digests): the app's client with a single bot token, otherwise the workspace's installation.
+ * Without a team ID this only works while the app is installed in exactly one workspace.
+ */
+async function getSlackClient({ teamId, enterpriseId } = {}) {
+  if (!SLACK_OAUTH_ENABLED) return app.client;
+
+  let installation;
+  if (teamId || enterpriseId) {
+    installation = await installationStore.fetchInstallation({ teamId, enterpriseId, isEnterpriseInstall: false });
+  } else {
+    const all = Object.values(installations);
+    if (all.length !== 1) {
+      throw new Error(`Don't know which workspace to use: the app is installed in ${all.length} - set "team" on the routing rule`);
+    }
+    installation = all[0];
+  }
+
+  const token = installation.bot?.token;
+  if (!installationClients.has(token)) {
+    const client = new WebClient(token, { logger: boltLogger });
+    clientWorkspaces.set(client, { teamId: installation.team?.id || teamId, enterpriseId: installation.enterprise?.id });
+    installationClients.set(token, client);
+  }
+  return installationClients.get(token);
+}
+
+// Routing rules: which channel + emoji creates which kind of Jira ticket
+const routes = loadRoutes();
+
+/**
+ * Find the routing rules for a reaction, matching the channel by name or ID and the workspace.
+ * Pass a null emoji to get every rule for the channel (e.g. for the message shortcut).
+ */
+function findRoutes(emoji, channelId, channelName, teamId) {
+  return routes.filter(route =>
+    (emoji === null || route.emoji === emoji)
+    && (route.channel === channelName || route.channel === channelId)
+    && (route.teams.length === 0 || !teamId || route.teams.includes(teamId))
+  );
+}
+
+const SLACK_USER_GROUP_TTL_MS = 10 * 60 * 1000;
+
+// Members of the Slack user groups named in routes' allowedUsers, keyed by workspace and handle or ID
+const slackUserGroupCache = new Map();
+
+/**
+ * Get the member IDs of a Slack user group by @handle or ID, cached for a few minutes
+ */
+async function getUserGroupMembers(client, group) {
+  // Workspaces can have groups with the same handle
+  const cacheKey = `${(await getClientWorkspace(client)).teamId || ''}:${group}`;
+  const cached = slackUserGroupCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.members;
+  }
+
+  let groupId = group;
+  if (group.startsWith('@')) {
+    const result = await client.usergroups.list();
+    const match = result.usergroups.find(usergroup => usergroup.handle === group.slice(1));
+    if (!match) {
+      log.warn('Slack user group not found', { group });
+      return [];
+    }
+    groupId = match.id;
+  }
+
+  const result = await client.usergroups.users.list({ usergroup: groupId });
+  slackUserGroupCache.set(cacheKey, { members: result.users, expiresAt: Date.now() + SLACK_USER_GROUP_TTL_MS });
+  return result.users;
+}
+
+/**
+ * Whether a user is in a list of Slack user IDs and user groups: listed directly or in a listed group
+ */
+async function isUserListed(client, entries, userId) {
+  if (entries.includes(userId)) return true;
+
+  // User groups are written as @handle or by their S... ID
+  const groups = entries.filter(entry => entry.startsWith('@') || entry.startsWith('S'));
+  for (const group of groups) {
+    try {
+      const members = await getUserGroupMembers(client, group);
+      if (members.includes(userId)) return true;
+    } catch (error) {
+      // Fail closed: a missing usergroups:read scope shouldn't let everyone in
+      log.error('Error checking Slack user group', { group, error });
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a user may create tickets through a route
+ */
+async function isUserAllowed(client, route, userId) {
+  if (!route.allowedUsers || route.allowedUsers.length === 0) return true;
+  return isUserListed(client, route.allowedUsers, userId);
+}
+
+/**
+ * Whether a message was posted by one of the route's allowed authors (user or bot IDs)
+ */
+function isAuthorAllowed(route, message) {
+  if (!route.allowedAuthors || route.allowedAuthors.length === 0) return true;
+  return route.allowedAuthors.includes(message.user) || route.allowedAuthors.includes(message.bot_id);
+}
+
+/**
+ * Explain why a user can't create a ticket for a message through a route, or null if they can
+ */
+async function getAuthorizationError(client, route, userId, message) {
+  if (!isAuthorAllowed(route, message)) {
+    const authors = route.allowedAuthors.map(author => (author.startsWith('U') ? `<@${author}>` : author));
+    return `Jira tickets can only be created from messages posted by ${authors.join(', ')} in #${route.channel}.`;
+  }
+
+  if (!(await isUserAllowed(client, route, userId))) {
+    const allowed = route.allowedUsers.map(entry => (entry.startsWith('U') ? `<@${entry}>` : entry));
+    return `Only ${allowed.join(', ')} can create Jira tickets from messages in #${route.channel}. Ask one of them to react instead.`;
+  }
 
-// Store processed reactions to avoid duplicates
-const processedReactions = new Set();
+  return null;
+}
 
 /**
- * Get Service Desk and Request Type IDs
+ * Explain why a user can't use a button on someone else's ticket request (a duplicate choice or a
+ * retry), or null if they can: the person who reacted, or anyone the route lets create tickets
  */
-async function getServiceDeskRequestType() {
-  const authHeader = `Basic ${Buffer.from(
-    `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
-  ).toString('base64')}`;
+async function getRequestActionError(client, route, userId, requestedBy, message) {
+  if (userId === requestedBy) return null;
+  if (!(await getAuthorizationError(client, route, userId, message || {}))) return null;
+  return `Only <@${requestedBy}>, who asked for this ticket, or someone allowed to create Jira tickets in #${route.channel} can do this.`;
+}
+
+const JIRA_METADATA_TTL_MS = (Number(process.env.JIRA_METADATA_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Service desk IDs, request type IDs and field schemas, keyed per route target
+const jiraMetadataCache = new Map();
 
+const TICKET_STORE_PATH = process.env.TICKET_STORE_PATH || path.join(__dirname, 'data', 'tickets.json');
+
+const OUTBOX_PATH = process.env.OUTBOX_PATH || path.join(__dirname, 'data', 'outbox.json');
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const OUTBOX_BASE_DELAY_MS = 60 * 1000;
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+const OUTBOX_POLL_INTERVAL_MS = 30 * 1000;
+
+// Tickets already created, keyed by channel + message ts (persisted across restarts)
+const ticketStore = loadJsonFile(TICKET_STORE_PATH, 'linked tickets');
+
+// Ticket creations Jira didn't confirm, keyed by channel + message ts, waiting to be retried
+const outbox = loadJsonFile(OUTBOX_PATH, 'queued ticket requests');
+
+// Messages currently being turned into tickets, so simultaneous reactions don't race
+const inFlightMessages = new Set();
+
+/**
+ * Load a JSON object from disk, starting empty if the file doesn't exist yet
+ */
+function loadJsonFile(filePath, description) {
   try {
-    // Get all service desks
-    console.log('Fetching service desks...');
-    const serviceDesksResponse = await axios.get(
-      `${process.env.JIRA_BASE_URL}/rest/servicedeskapi/servicedesk`,
-      {
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const data = JSON.parse(contents);
+    log.info(`Loaded ${description}`, { count: Object.keys(data).length, path: filePath });
+    return data;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Error reading state file', { path: filePath, error });
+    }
+    return {};
+  }
+}
+
+/**
+ * Write a JSON object to disk (via a temp file so a crash can't leave it half-written)
+ */
+function saveJsonFile(filePath, data, { mode } = {}) {
+  const tempPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write the ticket store to disk
+ */
+function saveTicketStore() {
+  saveJsonFile(TICKET_STORE_PATH, ticketStore);
+}
+
+/**
+ * Write the outbox to disk
+ */
+function saveOutbox() {
+  try {
+    saveJsonFile(OUTBOX_PATH, outbox);
+  } catch (error) {
+    log.error('Error writing outbox', { path: OUTBOX_PATH, error });
+  }
+}
+
+/**
+ * Build the idempotency key for a Slack message
+ */
+function getMessageKey(channelId, messageTs) {
+  return `${channelId}-${messageTs}`;
+}
+
+/**
+ * Get the ticket already created for a Slack message, if any
+ */
+function getLinkedTicket(channelId, messageTs) {
+  return ticketStore[getMessageKey(channelId, messageTs)] || null;
+}
+
+/**
+ * Record the ticket created for a Slack message
+ */
+function recordLinkedTicket(channelId, messageTs, details) {
+  ticketStore[getMessageKey(channelId, messageTs)] = {
+    channel: channelId,
+    ts: messageTs,
+    ...details,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    saveTicketStore();
+  } catch (error) {
+    log.error('Error writing ticket store', { path: TICKET_STORE_PATH, error });
+  }
+}
+
+/**
+ * Update the stored record for a Slack message's ticket
+ */
+function updateLinkedTicket(channelId, messageTs, changes) {
+  const record = getLinkedTicket(channelId, messageTs);
+  if (!record) return;
+
+  Object.assign(record, changes);
+
+  try {
+    saveTicketStore();
+  } catch (error) {
+    log.error('Error writing ticket store', { path: TICKET_STORE_PATH, error });
+  }
+}
+
+/**
+ * Forget the ticket for a Slack message, so a new one can be created
+ */
+function removeLinkedTicket(channelId, messageTs) {
+  delete ticketStore[getMessageKey(channelId, messageTs)];
+
+  try {
+    saveTicketStore();
+  } catch (error) {
+    log.error('Error writing ticket store', { path: TICKET_STORE_PATH, error });
+  }
+}
+
+/**
+ * Find the Slack message a ticket was created from
+ */
+function findLinkedTicketByKey(ticketKey) {
+  return Object.values(ticketStore).find(record => record.ticketKey === ticketKey) || null;
+}
+
+/**
+ * Get a Jira metadata lookup from the cache, loading it if missing or expired.
+ * Failed lookups (null or empty) aren't cached, so the next reaction tries again.
+ */
+async function getCachedJiraMetadata(cacheKey, loader) {
+  const cached = jiraMetadataCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const value = await loader();
+  if (value && Object.keys(value).length > 0) {
+    jiraMetadataCache.set(cacheKey, { value, expiresAt: Date.now() + JIRA_METADATA_TTL_MS });
+  }
+  return value;
+}
+
+/**
+ * Forget all cached Jira metadata so the next lookup fetches it fresh
+ */
+function clearJiraMetadataCache(reason) {
+  jiraMetadataCache.clear();
+  log.info('Cleared cached Jira metadata', { reason });
+}
 
-    console.log('Service desks found:', serviceDesksResponse.data.values?.length || 0);
+/**
+ * Get Service Desk and Request Type IDs for a route (cached)
+ */
+async function getServiceDeskRequestType(route) {
+  return getCachedJiraMetadata(
+    `servicedesk:${route.projectKey}:${route.requestType}`,
+    () => fetchServiceDeskRequestType(route)
+  );
+}
+
+/**
+ * Fetch Service Desk and Request Type IDs for a route from Jira
+ */
+async function fetchServiceDeskRequestType(route) {
+  try {
+    // Get all service desks
+    log.debug('Fetching service desks');
+    const serviceDesksResponse = await jira.get('/rest/servicedeskapi/servicedesk');
 
     // Find the service desk matching our project key
     const serviceDesk = serviceDesksResponse.data.values?.find(
-      sd => sd.projectKey === JIRA_PROJECT_KEY
+      sd => sd.projectKey === route.projectKey
     );
 
     if (!serviceDesk) {
-      console.error(`No Service Desk found for project ${JIRA_PROJECT_KEY}`);
+      log.error('No Service Desk found for project', { projectKey: route.projectKey });
       return null;
     }
 
-    console.log(`Found Service Desk: ${serviceDesk.projectName} (ID: ${serviceDesk.id})`);
+    log.debug('Found Service Desk', { projectKey: route.projectKey, serviceDeskId: serviceDesk.id });
 
     // Get request types for this service desk
-    console.log('Fetching request types...');
-    const requestTypesResponse = await axios.get(
-      `${process.env.JIRA_BASE_URL}/rest/servicedeskapi/servicedesk/${serviceDesk.id}/requesttype`,
-      {
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const requestTypesResponse = await jira.get(`/rest/servicedeskapi/servicedesk/${serviceDesk.id}/requesttype`);
 
-    console.log('Request types available:');
-    requestTypesResponse.data.values?.forEach(rt => {
-      console.log(`  - ${rt.name} (ID: ${rt.id})`);
+    log.debug('Request types available', {
+      requestTypes: (requestTypesResponse.data.values || []).map(rt => `${rt.name} (ID: ${rt.id})`)
     });
 
-    // Find "New Hire Onboarding" request type
+    // Find the route's request type (e.g. "New Hire Onboarding")
     const requestType = requestTypesResponse.data.values?.find(
-      rt => rt.name.toLowerCase().includes('new hire onboarding')
+      rt => rt.name.toLowerCase().includes(route.requestType.toLowerCase())
     );
 
     if (requestType) {
-      console.log(`Found matching request type: ${requestType.name} (ID: ${requestType.id})`);
+      log.debug('Found matching request type', { requestType: requestType.name, requestTypeId: requestType.id });
 
       // Get fields for this request type
-      console.log('Fetching fields for request type...');
-      const fieldsResponse = await axios.get(
-        `${process.env.JIRA_BASE_URL}/rest/servicedeskapi/servicedesk/${serviceDesk.id}/requesttype/${requestType.id}/field`,
-        {
-          headers: {
-            'Authorization': authHeader,
-            'Content-Type': 'application/json',
-          },
-        }
+      const fieldsResponse = await jira.get(
+        `/rest/servicedeskapi/servicedesk/${serviceDesk.id}/requesttype/${requestType.id}/field`
       );
 
-      console.log('Available fields for New Hire Onboarding:');
       const requestTypeFields = fieldsResponse.data.requestTypeFields || [];
-      requestTypeFields.forEach(field => {
-        console.log(`  - ${field.fieldId}: ${field.name} (required: ${field.required})`);
+      log.debug('Available fields for request type', {
+        requestType: requestType.name,
+        fields: requestTypeFields.map(field => `${field.fieldId}: ${field.name} (required: ${field.required})`)
       });
 
-      return {
-        serviceDeskId: serviceDesk.id,
-        requestTypeId: requestType.id,
-        requestTypeName: requestType.name,
-        fields: requestTypeFields
-      };
+      return {
+        serviceDeskId: serviceDesk.id,
+        requestTypeId: requestType.id,
+        requestTypeName: requestType.name,
+        fields: requestTypeFields
+      };
+    }
+
+    log.error('Request type not found', { requestType: route.requestType, projectKey: route.projectKey });
+    return null;
+  } catch (error) {
+    log.error('Error fetching Service Desk info', { projectKey: route.projectKey, error });
+    return null;
+  }
+}
+
+/**
+ * Get field metadata for creating an issue on a route (cached)
+ */
+async function getIssueCreateMetadata(route) {
+  return getCachedJiraMetadata(
+    `createmeta:${route.projectKey}:${route.issueType}`,
+    () => fetchIssueCreateMetadata(route)
+  );
+}
+
+/**
+ * Fetch field metadata for creating an issue on a route from Jira
+ */
+async function fetchIssueCreateMetadata(route) {
+  try {
+    const response = await jira.get(jiraApiPath('issue/createmeta'), {
+      params: {
+        projectKeys: route.projectKey,
+        issuetypeNames: route.issueType,
+        expand: 'projects.issuetypes.fields'
+      }
+    });
+
+    const project = response.data.projects?.[0];
+    const issueType = project?.issuetypes?.[0];
+    const fields = issueType?.fields || {};
+
+    // Log available fields for debugging
+    log.debug('Available Jira fields for issue type', {
+      issueType: route.issueType,
+      fields: Object.entries(fields).map(([fieldId, fieldInfo]) => `${fieldId}: ${fieldInfo.name} (${fieldInfo.schema?.type || 'unknown type'})`)
+    });
+
+    return fields;
+  } catch (error) {
+    log.error('Error fetching issue metadata', { projectKey: route.projectKey, issueType: route.issueType, error });
+    return {};
+  }
+}
+
+/**
+ * Search Jira for active human users matching a name or email.
+ * Data Center users have a username instead of an accountId; it's returned as their accountId.
+ */
+async function searchJiraUsers(query) {
+  const response = await jira.get(jiraApiPath('user/search'), {
+    params: JIRA_AUTH_TYPE === 'pat' ? { username: query } : { query: query }
+  });
+
+  return (response.data || [])
+    .filter(user => user.active !== false && user.accountType !== 'app')
+    .map(user => ({ ...user, accountId: user.accountId || user.name }));
+}
+
+/**
+ * Resolve a name or email to a single Jira accountId.
+ * Returns { accountId } or { warning } when the user is ambiguous or not found.
+ */
+async function resolveJiraUser(value, label) {
+  try {
+    const users = await searchJiraUsers(value);
+    const lowerValue = value.toLowerCase();
+    const exactMatches = users.filter(user =>
+      user.displayName?.toLowerCase() === lowerValue || user.emailAddress?.toLowerCase() === lowerValue
+    );
+    const matches = exactMatches.length > 0 ? exactMatches : users;
+
+    if (matches.length === 1) {
+      log.info('Resolved Jira user', { field: label, accountId: matches[0].accountId });
+      return { accountId: matches[0].accountId };
+    }
+    if (matches.length === 0) {
+      return { warning: `${label} "${value}" wasn't found in Jira - set it on the ticket manually` };
+    }
+    return {
+      warning: `${label} "${value}" matches ${matches.length} Jira users (${matches.slice(0, 3).map(u => u.displayName).join(', ')}${matches.length > 3 ? ', ...' : ''}) - set it on the ticket manually`
+    };
+  } catch (error) {
+    log.error('Error searching Jira users', { field: label, error });
+    return { warning: `Couldn't look up ${label} "${value}" in Jira - set it on the ticket manually` };
+  }
+}
+
+/**
+ * Look up the Jira users for every user-typed field a route's mapping will fill.
+ * Returns a map of mapped value -> accountId; problems are added to `warnings`.
+ */
+async function resolveUserFieldValues(mappings, context, availableFields, warnings) {
+  const resolvedUsers = {};
+
+  for (const mapping of mappings) {
+    const field = findMappedField(mapping.field, availableFields);
+    if (!field || getMappingType(mapping, field) !== 'user') continue;
+
+    const value = getMappingValue(mapping, context);
+    if (value === null || value in resolvedUsers) continue;
+
+    const result = await resolveJiraUser(value, field.name || field.id);
+    if (result.accountId) {
+      resolvedUsers[value] = result.accountId;
+    } else {
+      warnings.push(result.warning);
+    }
+  }
+
+  return resolvedUsers;
+}
+
+/**
+ * Create a Jira ticket for a route using Service Desk API or standard API
+ */
+async function createJiraTicket(messageData, route) {
+  // Values available to the route's field mapping
+  const mappingContext = {
+    ...messageData.details,
+    text: messageData.text,
+    userName: messageData.userName,
+    messageLink: messageData.messageLink,
+    today: formatLocalDate()
+  };
+
+  // Problems worth telling the reactor about, e.g. a manager that couldn't be found in Jira
+  const warnings = getDateWarnings(messageData.details);
+
+  // Try Service Desk API first if the route targets a request type
+  if (route.requestType) {
+    const serviceDeskInfo = await getServiceDeskRequestType(route);
+
+    if (serviceDeskInfo) {
+      // Map parsed details to the request type's fields
+      const resolvedUsers = await resolveUserFieldValues(route.fields, mappingContext, getRequestTypeFields(serviceDeskInfo), warnings);
+      const requestData = buildServiceDeskPayload(route, serviceDeskInfo, mappingContext, resolvedUsers);
+
+      // Raise on behalf of the reactor; if Jira refuses (e.g. they're not a
+      // customer of this service desk), retry as the integration account
+      const attempts = messageData.requesterEmail
+        ? [{ ...requestData, raiseOnBehalfOf: messageData.requesterEmail }, requestData]
+        : [requestData];
+
+      for (const [index, attempt] of attempts.entries()) {
+        // Field IDs only - the values are employee details
+        log.info('Creating Service Desk request', {
+          route: route.name,
+          requestTypeId: attempt.requestTypeId,
+          fields: Object.keys(attempt.requestFieldValues),
+          onBehalfOfRequester: Boolean(attempt.raiseOnBehalfOf)
+        });
+
+        try {
+          const response = await jira.post('/rest/servicedeskapi/request', attempt);
+
+          if (index > 0) {
+            warnings.push(`Couldn't raise the request on behalf of ${messageData.requesterEmail} - it was raised by the integration account`);
+          }
+
+          log.info('Created Service Desk request', { route: route.name, ticketKey: response.data.issueKey });
+          return {
+            ...response.data,
+            serviceDeskId: serviceDeskInfo.serviceDeskId,
+            summary: requestData.requestFieldValues.summary,
+            warnings
+          };
+        } catch (sdError) {
+          log.error('Service Desk API failed', { route: route.name, error: sdError });
+
+          // The request type's fields may have changed since they were cached
+          if (sdError.response?.status === 400) {
+            clearJiraMetadataCache('Service Desk rejected the request');
+          }
+
+          const canRetry = attempt.raiseOnBehalfOf && sdError.response?.status === 400;
+          if (!canRetry) break;
+          log.info('Retrying Service Desk request without raiseOnBehalfOf', { route: route.name });
+        }
+      }
+
+      log.info('Falling back to regular Jira API', { route: route.name, issueType: route.issueType });
+    } else {
+      log.info('Could not get Service Desk info, falling back to regular Jira API', { route: route.name, issueType: route.issueType });
+    }
+  }
+
+  // Regular Jira API with the route's issue type
+
+  // Get field metadata for the issue type
+  const fieldMetadata = await getIssueCreateMetadata(route);
+
+  // Map parsed details to the issue type's fields
+  const issueTypeFields = getIssueTypeFields(fieldMetadata);
+  const resolvedUsers = await resolveUserFieldValues(route.fields, mappingContext, issueTypeFields, warnings);
+
+  // Report the issue as the reactor when the issue type lets us set the reporter
+  const extraFields = {};
+  if (fieldMetadata.reporter && messageData.requesterEmail) {
+    const reporter = await resolveJiraUser(messageData.requesterEmail, 'Requester');
+    if (reporter.accountId) {
+      extraFields.reporter = jiraUserReference(reporter.accountId);
+    } else {
+      warnings.push(`Couldn't match ${messageData.requesterEmail} to a Jira user - reported by the integration account`);
+    }
+  }
+
+  const issueData = buildIssuePayload(route, fieldMetadata, mappingContext, resolvedUsers, extraFields);
+
+  log.info('Creating Jira issue', { route: route.name, issueType: route.issueType, fields: Object.keys(issueData.fields) });
+
+  try {
+    const response = await jira.post(jiraApiPath('issue'), issueData);
+
+    log.info('Created Jira issue', { route: route.name, issueType: route.issueType, ticketKey: response.data.key });
+    return { ...response.data, summary: issueData.fields.summary, warnings };
+  } catch (error) {
+    log.error('Error creating Jira issue', { route: route.name, issueType: route.issueType, error });
+
+    // Lets the error reply in Slack name fields instead of showing customfield IDs
+    error.jiraFieldNames = Object.fromEntries(issueTypeFields.map(field => [field.id, field.name]));
+
+    // The issue type's fields may have changed since they were cached
+    if (error.response?.status === 400) {
+      clearJiraMetadataCache('Jira rejected the issue');
+    }
+    throw error;
+  }
+}
+
+// Files larger than this aren't copied (Jira Cloud's default attachment limit is 10 MB)
+const ATTACHMENT_MAX_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+// File types worth copying onto a ticket: documents, spreadsheets and screenshots
+const ATTACHMENT_FILE_TYPES = (process.env.ATTACHMENT_FILE_TYPES || 'pdf,doc,docx,xls,xlsx,csv,txt,png,jpg,jpeg,gif')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Work out why a Slack file shouldn't be copied to Jira, or null if it should
+ */
+function getAttachmentSkipReason(file) {
+  const extension = path.extname(file.name || '').slice(1).toLowerCase();
+  const fileType = (file.filetype || extension).toLowerCase();
+
+  if (!ATTACHMENT_FILE_TYPES.includes(fileType) && !ATTACHMENT_FILE_TYPES.includes(extension)) {
+    return `${fileType || 'unknown'} files aren't allowed`;
+  }
+  if (file.size > ATTACHMENT_MAX_BYTES) {
+    const sizeMb = (file.size / 1024 / 1024).toFixed(1);
+    return `${sizeMb} MB is over the ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB limit`;
+  }
+  if (!file.url_private_download && !file.url_private) {
+    return 'Slack didn\'t provide a download link';
+  }
+  return null;
+}
+
+/**
+ * Download a file shared in Slack with the bot token of the client's workspace
+ */
+async function downloadSlackFile(client, file) {
+  const response = await axios.get(file.url_private_download || file.url_private, {
+    headers: {
+      'Authorization': `Bearer ${client.token}`
+    },
+    responseType: 'arraybuffer',
+    maxContentLength: ATTACHMENT_MAX_BYTES
+  });
+
+  // A token Slack doesn't accept gets its sign-in page with a 200, not an error
+  if (String(response.headers?.['content-type'] || '').startsWith('text/html')) {
+    throw new Error('Slack returned a web page instead of the file - the bot token can\'t read it');
+  }
+
+  return Buffer.from(response.data);
+}
+
+/**
+ * Upload a file to a Service Desk request via the temporary-attachment flow
+ */
+async function attachFileToServiceDeskRequest(ticketKey, serviceDeskId, fileName, content) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), fileName);
+
+  const uploadResponse = await jira.post(
+    `/rest/servicedeskapi/servicedesk/${serviceDeskId}/attachTemporaryFile`,
+    form,
+    {
+      headers: {
+        'X-Atlassian-Token': 'no-check',
+        'X-ExperimentalApi': 'opt-in'
+      }
+    }
+  );
+
+  const temporaryAttachmentIds = uploadResponse.data.temporaryAttachments
+    .map(attachment => attachment.temporaryAttachmentId);
+
+  await jira.post(
+    `/rest/servicedeskapi/request/${ticketKey}/attachment`,
+    { temporaryAttachmentIds: temporaryAttachmentIds, public: true }
+  );
+}
+
+/**
+ * Upload a file to a regular Jira issue
+ */
+async function attachFileToIssue(ticketKey, fileName, content) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), fileName);
+
+  await jira.post(
+    jiraApiPath(`issue/${ticketKey}/attachments`),
+    form,
+    {
+      headers: {
+        'X-Atlassian-Token': 'no-check'
+      }
+    }
+  );
+}
+
+/**
+ * Copy the files shared on a Slack message onto its Jira ticket.
+ * Returns the names of the files copied and warnings for the ones that weren't.
+ */
+async function copySlackFilesToJira(client, message, jiraTicket) {
+  const ticketKey = jiraTicket.issueKey || jiraTicket.key;
+  const attached = [];
+  const warnings = [];
+
+  for (let file of message.files || []) {
+    try {
+      // Files in some events only carry an ID until looked up
+      if (file.file_access === 'check_file_info') {
+        const result = await client.files.info({ file: file.id });
+        file = result.file;
+      }
+
+      const fileName = file.name || file.title || file.id;
+      const skipReason = getAttachmentSkipReason(file);
+      if (skipReason) {
+        log.info('Skipping attachment', { ticketKey, fileId: file.id, reason: skipReason });
+        warnings.push(`Didn't copy ${fileName} to Jira: ${skipReason}`);
+        continue;
+      }
+
+      const content = await downloadSlackFile(client, file);
+
+      // Service Desk requests carry their service desk ID; Task fallback issues don't
+      if (jiraTicket.serviceDeskId) {
+        await attachFileToServiceDeskRequest(ticketKey, jiraTicket.serviceDeskId, fileName, content);
+      } else {
+        await attachFileToIssue(ticketKey, fileName, content);
+      }
+
+      log.info('Attached file', { ticketKey, fileId: file.id });
+      attached.push(fileName);
+    } catch (error) {
+      const fileName = file.name || file.title || file.id;
+      log.error('Error attaching file', { ticketKey, fileId: file.id, error });
+      warnings.push(`Couldn't copy ${fileName} to Jira (${error.response?.status || error.message}) - attach it by hand`);
+    }
+  }
+
+  return { attached, warnings };
+}
+
+/**
+ * Whether parsed details satisfy a checklist condition: every listed detail must
+ * contain one of the given values (case-insensitive)
+ */
+function matchesChecklistCondition(condition, details) {
+  return Object.entries(condition).every(([key, expected]) => {
+    const actual = (details[key] || '').toLowerCase();
+    const values = Array.isArray(expected) ? expected : [expected];
+    return actual !== '' && values.some(value => actual.includes(String(value).toLowerCase()));
+  });
+}
+
+/**
+ * Pick the route's checklist items that apply to these details
+ */
+function selectChecklistItems(checklist, details) {
+  return (checklist.items || []).filter(item =>
+    (!item.when || matchesChecklistCondition(item.when, details))
+    && (!item.unless || !matchesChecklistCondition(item.unless, details))
+  );
+}
+
+/**
+ * Create the route's checklist under a new ticket: sub-tasks by default, or
+ * standalone issues linked to the ticket when the checklist has a linkType.
+ * Returns the issues created and warnings for the ones that weren't.
+ */
+async function createChecklistIssues(route, ticketKey, context) {
+  const created = [];
+  const warnings = [];
+  if (!route.checklist) return { created, warnings };
+
+  const { linkType } = route.checklist;
+  const issueType = route.checklist.issueType || (linkType ? 'Task' : 'Sub-task');
+
+  for (const item of selectChecklistItems(route.checklist, context)) {
+    const templates = Array.isArray(item.summary) ? item.summary : [item.summary];
+    const summary = templates.map(template => renderTemplate(template, context)).find(Boolean);
+
+    if (!summary) {
+      warnings.push(`Checklist item "${templates[templates.length - 1]}" skipped - the message is missing details it needs`);
+      continue;
+    }
+
+    const fields = {
+      project: { key: route.projectKey },
+      issuetype: { name: issueType },
+      summary: summary,
+      description: toJiraRichText(`${item.description ? renderTemplate(item.description, context) || '' : ''}\n\nPart of the checklist for ${ticketKey}`.trim())
+    };
+    if (!linkType) {
+      fields.parent = { key: ticketKey };
+    }
+
+    try {
+      const response = await jira.post(jiraApiPath('issue'), { fields });
+      const issueKey = response.data.key;
+
+      if (linkType) {
+        await jira.post(jiraApiPath('issueLink'), {
+          type: { name: linkType },
+          inwardIssue: { key: issueKey },
+          outwardIssue: { key: ticketKey }
+        });
+      }
+
+      log.info('Created checklist item', { ticketKey, issueType, issueKey });
+      created.push({ key: issueKey, summary: summary });
+    } catch (error) {
+      log.error('Error creating checklist item', { ticketKey, summary, error });
+      warnings.push(`Couldn't create checklist item "${summary}" (${error.response?.status || error.message})`);
+    }
+  }
+
+  return { created, warnings };
+}
+
+const MAX_DUPLICATE_SUGGESTIONS = 3;
+
+/**
+ * Search the route's project for open tickets about the same person, by parsed email or name.
+ * Returns [] if the details have neither; throws if the search fails.
+ */
+async function findDuplicateTickets(route, details) {
+  const person = details.name || details.employee;
+  const terms = [details.email, person].filter(Boolean);
+  if (terms.length === 0) return [];
+
+  // Phrase searches, with quotes and backslashes escaped for JQL
+  const escape = value => value.replace(/[\\"]/g, '\\$&');
+  const textClauses = terms.map(term => `text ~ "\\"${escape(term)}\\""`);
+  const jql = `project = "${escape(route.projectKey)}" AND statusCategory != Done AND (${textClauses.join(' OR ')}) ORDER BY created DESC`;
+
+  const response = await jira.get(jiraSearchPath(), {
+    params: { jql: jql, fields: 'summary,status', maxResults: MAX_DUPLICATE_SUGGESTIONS }
+  });
+
+  return response.data.issues.map(issue => ({
+    key: issue.key,
+    summary: issue.fields.summary,
+    status: issue.fields.status?.name
+  }));
+}
+
+// Ticket requests waiting for the reactor to pick "Link to existing" or "Create anyway", keyed by message
+const pendingDuplicateChoices = new Map();
+
+/**
+ * Ask in the thread whether to link the message to an existing ticket or create a new one
+ */
+async function postDuplicatePrompt(client, request, duplicates) {
+  const messageKey = getMessageKey(request.channelId, request.messageTs);
+  const ticketLines = duplicates.map(issue =>
+    `• <${process.env.JIRA_BASE_URL}/browse/${issue.key}|${issue.key}> ${issue.summary} (${issue.status})`
+  );
+  const text = `⚠️ This looks like it's already ticketed:\n${ticketLines.join('\n')}`;
+
+  const result = await client.chat.postMessage({
+    channel: request.channelId,
+    thread_ts: request.messageTs,
+    text: text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: text } },
+      {
+        type: 'actions',
+        elements: [
+          ...duplicates.map(issue => ({
+            type: 'button',
+            action_id: `link_existing_ticket_${issue.key}`,
+            text: { type: 'plain_text', text: `Link to ${issue.key}` },
+            value: JSON.stringify({ messageKey: messageKey, ticketKey: issue.key })
+          })),
+          {
+            type: 'button',
+            action_id: 'create_ticket_anyway',
+            text: { type: 'plain_text', text: 'Create anyway' },
+            value: messageKey
+          }
+        ]
+      }
+    ]
+  });
+
+  pendingDuplicateChoices.set(messageKey, {
+    ...request,
+    routeName: request.route.name,
+    promptTs: result.ts
+  });
+}
+
+/**
+ * Get channel name from channel ID
+ */
+async function getChannelName(client, channelId) {
+  try {
+    const result = await client.conversations.info({
+      channel: channelId
+    });
+    return result.channel.name;
+  } catch (error) {
+    log.error('Error fetching channel info', { error });
+    return null;
+  }
+}
+
+/**
+ * Get user name from user ID
+ */
+async function getUserName(client, userId) {
+  try {
+    const result = await client.users.info({
+      user: userId
+    });
+    return result.user.real_name || result.user.name;
+  } catch (error) {
+    log.error('Error fetching user info', { error });
+    return 'Unknown User';
+  }
+}
+
+/**
+ * Name of whoever posted a message: the user's name, or the app's for bot and system messages
+ */
+async function getAuthorName(client, message) {
+  if (message.user) return getUserName(client, message.user);
+  return message.username || message.bot_profile?.name || 'Unknown User';
+}
+
+/**
+ * Get a user's email address from user ID (needs the users:read.email scope)
+ */
+async function getUserEmail(client, userId) {
+  try {
+    const result = await client.users.info({
+      user: userId
+    });
+    return result.user.profile?.email || null;
+  } catch (error) {
+    log.error('Error fetching user email', { error });
+    return null;
+  }
+}
+
+/**
+ * Get the permalink for a message
+ */
+async function getMessageLink(client, channelId, messageTs) {
+  try {
+    const result = await client.chat.getPermalink({
+      channel: channelId,
+      message_ts: messageTs
+    });
+    return result.permalink;
+  } catch (error) {
+    log.error('Error getting message permalink', { error });
+    return 'Link unavailable';
+  }
+}
+
+/**
+ * Build the thread reply card for a newly created ticket: the ticket, the parsed
+ * details (flagging missing ones), follow-up notes and buttons to act on it
+ */
+function buildConfirmationCard(ticketKey, parsed, messageKey, { summary, warnings = [], attachedFiles = [], checklistIssues = [] }) {
+  const ticketUrl = `${process.env.JIRA_BASE_URL}/browse/${ticketKey}`;
+  const { details } = parsed;
+  const isOffboarding = parsed.messageType === 'offboarding';
+  const heading = isOffboarding ? 'Offboarding ticket created' : 'Jira ticket created';
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `✅ *${heading}: <${ticketUrl}|${ticketKey}>*${summary ? `\n${summary}` : ''}` }
+    }
+  ];
+
+  if (isOffboarding) {
+    // Access has to be revoked by the last day, so make it impossible to miss
+    const lastDayLabel = details.noticeType === 'leave' ? 'Leave starts' : 'Last day';
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: details.lastDay
+          ? `📅 *${lastDayLabel}: ${formatDateForDisplay(details.lastDay)}*`
+          : `⚠️ *${lastDayLabel} not found in the message* - check the ticket and set it manually`
+      }
+    });
+  }
+
+  // Parsed details, with expected ones that weren't found flagged (sections hold up to 10 fields)
+  const detailFields = Object.keys(DETAIL_DISPLAY_NAMES)
+    .filter(key => details[key] || parsed.missingFields.includes(key))
+    .map(key => ({
+      type: 'mrkdwn',
+      text: `*${DETAIL_DISPLAY_NAMES[key]}*\n${details[key] || '⚠️ _Not found in the message_'}`
+    }));
+  for (let i = 0; i < detailFields.length; i += 10) {
+    blocks.push({ type: 'section', fields: detailFields.slice(i, i + 10) });
+  }
+
+  if (checklistIssues.length > 0) {
+    const items = checklistIssues.map(issue => `• <${process.env.JIRA_BASE_URL}/browse/${issue.key}|${issue.key}> ${issue.summary}`);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `☑️ *Checklist*\n${items.join('\n')}` } });
+  }
+
+  const notes = [];
+  // Always say which parser ran, so an unrecognized format is noticed too
+  notes.push(parsed.messageType
+    ? `🔎 Parsed as a ${parsed.parser} ${parsed.messageType} message`
+    : `🔎 Parsed with the ${parsed.parser} parser - not recognized as an onboarding or offboarding notice`);
+  if (attachedFiles.length > 0) {
+    notes.push(`📎 Attached to the ticket: ${attachedFiles.join(', ')}`);
+  }
+  warnings.forEach(warning => notes.push(`⚠️ ${warning}`));
+  if (notes.length > 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: notes.join('\n') }] });
+  }
+
+  blocks.push({
+    type: 'actions',
+    block_id: 'ticket_actions',
+    elements: [
+      {
+        type: 'button',
+        action_id: 'open_in_jira',
+        text: { type: 'plain_text', text: 'Open in Jira' },
+        style: 'primary',
+        url: ticketUrl
+      },
+      {
+        type: 'button',
+        action_id: 'assign_ticket_to_me',
+        text: { type: 'plain_text', text: 'Assign to me' },
+        value: ticketKey
+      },
+      {
+        type: 'static_select',
+        action_id: 'change_ticket_priority',
+        placeholder: { type: 'plain_text', text: 'Change priority' },
+        options: PRIORITY_OPTIONS.map(priority => ({
+          text: { type: 'plain_text', text: priority },
+          value: `${ticketKey}|${priority}`
+        }))
+      },
+      {
+        type: 'button',
+        action_id: 'cancel_ticket',
+        text: { type: 'plain_text', text: 'Cancel' },
+        style: 'danger',
+        value: messageKey,
+        confirm: {
+          title: { type: 'plain_text', text: 'Withdraw ticket?' },
+          text: { type: 'mrkdwn', text: `This cancels ${ticketKey} in Jira.` },
+          confirm: { type: 'plain_text', text: 'Withdraw' },
+          deny: { type: 'plain_text', text: 'Keep it' }
+        }
+      }
+    ]
+  });
+
+  return {
+    // Shown in notifications and by clients that can't render blocks
+    text: `✅ ${heading}: ${ticketUrl}${summary ? ` - ${summary}` : ''}`,
+    blocks: blocks
+  };
+}
+
+/**
+ * Turn a failed Jira call into readable lines for Slack: Jira's own messages and
+ * per-field errors (named rather than by customfield ID where possible)
+ */
+function describeJiraError(error) {
+  const data = error.response?.data || {};
+  const fieldNames = error.jiraFieldNames || {};
+  const lines = [];
+
+  (data.errorMessages || []).forEach(message => lines.push(message));
+  if (data.errorMessage) {
+    lines.push(data.errorMessage);
+  }
+  Object.entries(data.errors || {}).forEach(([fieldId, message]) => {
+    lines.push(`*${fieldNames[fieldId] || fieldId}*: ${message}`);
+  });
+
+  if (lines.length === 0) {
+    lines.push(error.response ? `Jira returned ${error.response.status}` : error.message);
+  }
+  return lines;
+}
+
+// Details shown in the review modal for each kind of notice
+const REVIEW_FIELDS = {
+  onboarding: ['name', 'startDate', 'title', 'department', 'manager', 'workLocation'],
+  offboarding: ['employee', 'lastDay', 'title', 'department', 'manager', 'reasonCategory'],
+};
+
+const PRIORITY_OPTIONS = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+/**
+ * Fetch a Slack message and run it through the parsers
+ */
+async function fetchAndParseMessage(client, channelId, messageTs) {
+  const result = await client.conversations.history({
+    channel: channelId,
+    latest: messageTs,
+    limit: 1,
+    inclusive: true
+  });
+
+  if (!result.messages || result.messages.length === 0) {
+    return null;
+  }
+
+  const message = result.messages[0];
+
+  // Extract full message text including blocks and attachments
+  const text = extractMessageText(message);
+
+  // Parse employee details with the first parser that recognizes the message
+  const parsed = parseMessage(message, text);
+  log.info(`Parsed with ${parsed.parser} parser`, {
+    messageType: parsed.messageType || 'unrecognized',
+    // Only which details were found - the values are employee data
+    detailsFound: Object.keys(parsed.details),
+    missingFields: parsed.missingFields
+  });
+
+  if (!parsed.messageType) {
+    incrementCounter('slack_jira_parse_misses_total', { parser: parsed.parser, field: 'messageType' });
+  }
+  parsed.missingFields.forEach(field => {
+    incrementCounter('slack_jira_parse_misses_total', { parser: parsed.parser, field });
+  });
+
+  return { message, text, parsed };
+}
+
+/**
+ * Reply in the thread with the ticket a message already has
+ */
+async function postExistingTicketReply(client, channelId, messageTs, linkedTicket) {
+  await client.chat.postMessage({
+    channel: channelId,
+    thread_ts: messageTs,
+    text: `ℹ️ A Jira ticket already exists for this message: ${process.env.JIRA_BASE_URL}/browse/${linkedTicket.ticketKey}`
+  });
+}
+
+/**
+ * Reply in the thread that ticket creation failed
+ */
+async function postTicketError(client, channelId, messageTs, error) {
+  const reasons = describeJiraError(error);
+
+  try {
+    await client.chat.postMessage({
+      channel: channelId,
+      thread_ts: messageTs,
+      text: `❌ Couldn't create the Jira ticket: ${reasons.join('; ')}`,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `❌ *Couldn't create the Jira ticket*\n${reasons.map(reason => `• ${reason}`).join('\n')}` }
+        }
+      ]
+    });
+  } catch (notifyError) {
+    log.error('Error sending error notification', { error: notifyError });
+  }
+}
+
+/**
+ * Tell the thread a ticket was created even though a later step (files, checklist or the
+ * confirmation card) failed, so nobody retries and creates a duplicate
+ */
+async function postTicketCreatedWithError(client, channelId, messageTs, ticketKey, error) {
+  const ticketUrl = `${process.env.JIRA_BASE_URL}/browse/${ticketKey}`;
+
+  try {
+    await client.chat.postMessage({
+      channel: channelId,
+      thread_ts: messageTs,
+      text: `✅ Jira ticket created: <${ticketUrl}|${ticketKey}> - but something failed afterwards (${error.data?.error || error.message}), check the ticket in Jira and finish anything missing there`
+    });
+  } catch (notifyError) {
+    log.error('Error sending ticket created notification', { ticketKey, error: notifyError });
+  }
+}
+
+/**
+ * Whether a failed Jira call is worth retrying: network errors, rate limits and 5xx
+ */
+function isRetryableJiraError(error) {
+  if (!error.isAxiosError) return false;
+  const status = error.response?.status;
+  return !error.response || status === 429 || status >= 500;
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) from a failed Jira call, in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (!retryAfter) return 0;
+
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const retryAt = Date.parse(retryAfter);
+  return isNaN(retryAt) ? 0 : Math.max(0, retryAt - Date.now());
+}
+
+/**
+ * Record a failed ticket creation in the outbox and schedule the next attempt
+ * with exponential backoff (respecting Retry-After). Returns the outbox entry.
+ */
+function queueFailedCreation({ channelId, messageTs, route, parsed, requestedBy, teamId, enterpriseId }, error) {
+  const messageKey = getMessageKey(channelId, messageTs);
+  const entry = outbox[messageKey] || {
+    channelId: channelId,
+    messageTs: messageTs,
+    queuedAt: new Date().toISOString(),
+    attempts: 0
+  };
+
+  entry.route = route.name;
+  entry.parsed = parsed;
+  entry.requestedBy = requestedBy;
+  // Retries post back through this workspace's installation
+  entry.teamId = teamId;
+  entry.enterpriseId = enterpriseId;
+  entry.attempts += 1;
+  entry.lastError = error.message;
+
+  if (isRetryableJiraError(error) && entry.attempts < OUTBOX_MAX_ATTEMPTS) {
+    const backoff = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (entry.attempts - 1), OUTBOX_MAX_DELAY_MS);
+    entry.nextAttemptAt = new Date(Date.now() + Math.max(backoff, getRetryAfterMs(error))).toISOString();
+  } else {
+    // Needs a person: either Jira rejected the request or we've run out of attempts
+    entry.nextAttemptAt = null;
+  }
+
+  outbox[messageKey] = entry;
+  saveOutbox();
+
+  log.info('Queued ticket creation', { messageKey, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt || 'manual retry only' });
+  return entry;
+}
+
+/**
+ * Post (or update) the thread reply for a failed ticket creation, with a "Retry now" button
+ */
+async function postCreationFailure(client, entry, error) {
+  let retryNote;
+  if (entry.nextAttemptAt) {
+    const retryEpoch = Math.floor(Date.parse(entry.nextAttemptAt) / 1000);
+    retryNote = `🔁 Retrying automatically <!date^${retryEpoch}^{time}|at ${entry.nextAttemptAt}> (attempt ${entry.attempts} of ${OUTBOX_MAX_ATTEMPTS})`;
+  } else if (isRetryableJiraError(error)) {
+    retryNote = `Gave up retrying automatically after ${entry.attempts} attempts`;
+  } else {
+    retryNote = 'Jira rejected the request, so it won\'t be retried automatically';
+  }
+
+  const reasons = describeJiraError(error);
+  const text = `❌ Couldn't create the Jira ticket: ${reasons.join('; ')}`;
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `❌ *Couldn't create the Jira ticket*\n${reasons.map(reason => `• ${reason}`).join('\n')}` }
+    },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: retryNote }] },
+    {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        action_id: 'retry_ticket',
+        text: { type: 'plain_text', text: 'Retry now' },
+        value: getMessageKey(entry.channelId, entry.messageTs)
+      }]
+    }
+  ];
+
+  try {
+    if (entry.errorReplyTs) {
+      await client.chat.update({ channel: entry.channelId, ts: entry.errorReplyTs, text, blocks });
+    } else {
+      const result = await client.chat.postMessage({
+        channel: entry.channelId,
+        thread_ts: entry.messageTs,
+        text,
+        blocks
+      });
+      entry.errorReplyTs = result.ts;
+      saveOutbox();
+    }
+  } catch (notifyError) {
+    log.error('Error sending error notification', { messageKey: getMessageKey(entry.channelId, entry.messageTs), error: notifyError });
+  }
+}
+
+/**
+ * Replace the failure reply (and its Retry button) once the ticket exists
+ */
+async function markCreationFailureResolved(client, entry, ticketKey) {
+  if (!entry.errorReplyTs) return;
+
+  try {
+    await client.chat.update({
+      channel: entry.channelId,
+      ts: entry.errorReplyTs,
+      text: `✅ Created ${ticketKey} after ${entry.attempts} failed attempt${entry.attempts === 1 ? '' : 's'}`,
+      blocks: []
+    });
+  } catch (error) {
+    log.error('Error updating failure notification', { ticketKey, error });
+  }
+}
+
+/**
+ * Try a queued ticket creation again
+ */
+async function retryOutboxEntry(client, entry) {
+  const messageKey = getMessageKey(entry.channelId, entry.messageTs);
+  const route = routes.find(r => r.name === entry.route);
+  const fetched = await fetchAndParseMessage(client, entry.channelId, entry.messageTs);
+
+  if (!route || !fetched) {
+    log.error('Dropping queued ticket: its route or message no longer exists', { messageKey, route: entry.route });
+    delete outbox[messageKey];
+    saveOutbox();
+    return;
+  }
+
+  log.info('Retrying ticket creation', { messageKey, previousAttempts: entry.attempts });
+
+  await createTicketForMessage(client, {
+    channelId: entry.channelId,
+    messageTs: entry.messageTs,
+    route: route,
+    message: fetched.message,
+    text: fetched.text,
+    // Keep the details as they were (possibly edited in the review modal)
+    parsed: entry.parsed,
+    requestedBy: entry.requestedBy,
+    // The first attempt already checked for duplicates
+    skipDuplicateCheck: true
+  });
+}
+
+let outboxRunning = false;
+
+/**
+ * Retry every queued ticket creation whose next attempt is due
+ */
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+
+  try {
+    const dueEntries = Object.values(outbox).filter(entry =>
+      entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) <= Date.now()
+    );
+
+    for (const entry of dueEntries) {
+      try {
+        await retryOutboxEntry(await getSlackClient(entry), entry);
+      } catch (error) {
+        log.error('Error retrying queued ticket', { messageKey: getMessageKey(entry.channelId, entry.messageTs), error });
+      }
+    }
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+/**
+ * Add a ticket creation attempt to the audit trail, with the names of the people
+ * involved so /jira-requests can find it later
+ */
+async function recordCreationAttempt(client, { channelId, messageTs, route, message, parsed, requestedBy, messageLink }, outcome, { ticketKey, error, subject } = {}) {
+  const authorName = message ? await getAuthorName(client, message) : undefined;
+
+  recordAuditEntry({
+    teamId: (await getClientWorkspace(client)).teamId,
+    outcome: outcome,
+    subject: subject || parsed?.details.name || parsed?.details.employee,
+    ticketKey: ticketKey,
+    route: route?.name,
+    parser: parsed?.parser,
+    messageType: parsed?.messageType,
+    reactor: requestedBy,
+    reactorName: requestedBy ? await getUserName(client, requestedBy) : undefined,
+    author: message?.user || message?.bot_id,
+    authorName: authorName,
+    channel: channelId,
+    channelName: await getChannelName(client, channelId),
+    ts: messageTs,
+    permalink: messageLink || await getMessageLink(client, channelId, messageTs),
+    error: error
+  });
+}
+
+/**
+ * Create the Jira ticket for a Slack message, record it and confirm in the thread.
+ * `parsed` may carry details edited in the review modal.
+ */
+async function createTicketForMessage(client, { channelId, messageTs, route, message, text, parsed, requestedBy, skipDuplicateCheck = false }) {
+  const messageKey = getMessageKey(channelId, messageTs);
+
+  // Check if this message already has a ticket (from any reactor, before or after a restart)
+  const linkedTicket = getLinkedTicket(channelId, messageTs);
+
+  if (linkedTicket) {
+    log.info('Message already has a ticket, skipping', { ticketKey: linkedTicket.ticketKey });
+    await postExistingTicketReply(client, channelId, messageTs, linkedTicket);
+    return;
+  }
+
+  // Check if another reaction is already creating a ticket for this message
+  if (inFlightMessages.has(messageKey)) {
+    log.info('Ticket creation already in progress for this message, skipping', { messageKey });
+    return;
+  }
+
+  inFlightMessages.add(messageKey);
+
+  try {
+    // A repost of someone who already has an open ticket? Let the reactor decide.
+    if (!skipDuplicateCheck) {
+      let duplicates = [];
+      try {
+        duplicates = await findDuplicateTickets(route, parsed.details);
+      } catch (error) {
+        // Don't hold up the ticket, but make sure someone knows nobody checked
+        log.error('Error searching Jira for duplicates', { route: route.name, error });
+        await client.chat.postEphemeral({
+          channel: channelId,
+          user: requestedBy,
+          text: `⚠️ Couldn't check Jira for an existing ticket (${error.response?.status || error.message}), so the ticket is being created without the duplicate check. Look for an earlier ticket before working on it.`
+        }).catch(postError => log.error('Error posting duplicate check warning', { error: postError }));
+      }
+
+      if (duplicates.length > 0) {
+        log.info('Possible duplicates found', { messageKey, duplicates: duplicates.map(issue => issue.key) });
+        await postDuplicatePrompt(client, { channelId, messageTs, route, parsed, requestedBy }, duplicates);
+        await recordCreationAttempt(client, { channelId, messageTs, route, message, parsed, requestedBy }, 'duplicate_suggested', {
+          error: `Possible duplicate of ${duplicates.map(issue => issue.key).join(', ')}`
+        });
+        return;
+      }
+    }
+
+    const userName = await getAuthorName(client, message);
+    const messageLink = await getMessageLink(client, channelId, messageTs);
+
+    // Prepare message data for Jira
+    const messageData = {
+      text: text,
+      userName: userName,
+      requesterEmail: await getUserEmail(client, requestedBy),
+      messageLink: messageLink,
+      timestamp: new Date(parseFloat(messageTs) * 1000).toISOString(),
+      details: parsed.details
+    };
+
+    log.info('Creating Jira ticket', { messageKey, route: route.name });
+
+    // Create Jira ticket - if Jira doesn't confirm it, queue it for a retry
+    let jiraTicket;
+    try {
+      jiraTicket = await createJiraTicket(messageData, route);
+    } catch (error) {
+      log.error('Error creating Jira ticket', { messageKey, error });
+      incrementCounter('slack_jira_ticket_failures_total', { cause: getFailureCause(error) });
+      const entry = queueFailedCreation({ channelId, messageTs, route, parsed, requestedBy, ...(await getClientWorkspace(client)) }, error);
+      await recordCreationAttempt(client, { channelId, messageTs, route, message, parsed, requestedBy, messageLink }, 'failed', {
+        error: describeJiraError(error).join('; ')
+      });
+      await postCreationFailure(client, entry, error);
+      return;
+    }
+
+    const ticketKey = jiraTicket.issueKey || jiraTicket.key;
+    log.info('Jira ticket created', { ticketKey, messageKey });
+    incrementCounter('slack_jira_tickets_created_total', { route: route.name, api: jiraTicket.serviceDeskId ? 'servicedesk' : 'rest' });
+
+    // Remember the ticket so later reactions on this message don't create another
+    recordLinkedTicket(channelId, messageTs, {
+      ...(await getClientWorkspace(client)),
+      ticketKey: ticketKey,
+      route: route.name,
+      reactedBy: requestedBy,
+      // Kept for the start-date digest and at-risk alerts
+      subject: parsed.details.name || parsed.details.employee,
+      startDate: formatDateForJira(parsed.details.startDate) || undefined
+    });
+
+    // The ticket exists from here on, so a failure must not be reported as "couldn't create"
+    try {
+      await recordCreationAttempt(client, { channelId, messageTs, route, message, parsed, requestedBy, messageLink }, 'created', { ticketKey });
+
+      // A queued retry is no longer needed
+      const queuedEntry = outbox[messageKey];
+      if (queuedEntry) {
+        delete outbox[messageKey];
+        saveOutbox();
+        await markCreationFailureResolved(client, queuedEntry, ticketKey);
+      }
+
+      // The ticket exists now, so a failed upload is reported rather than retried
+      const attachments = await copySlackFilesToJira(client, message, jiraTicket);
+      const checklist = await createChecklistIssues(route, ticketKey, {
+        ...parsed.details,
+        userName: messageData.userName,
+        today: formatLocalDate()
+      });
+      if (checklist.created.length > 0) {
+        // Withdrawn along with the ticket
+        updateLinkedTicket(channelId, messageTs, { checklistKeys: checklist.created.map(item => item.key) });
+      }
+
+      // Post a confirmation card in the thread, with buttons to act on the ticket
+      const card = buildConfirmationCard(ticketKey, parsed, messageKey, {
+        summary: jiraTicket.summary,
+        warnings: [...jiraTicket.warnings, ...attachments.warnings, ...checklist.warnings],
+        attachedFiles: attachments.attached,
+        checklistIssues: checklist.created
+      });
+      const confirmation = await client.chat.postMessage({
+        channel: channelId,
+        thread_ts: messageTs,
+        text: card.text,
+        blocks: card.blocks
+      });
+
+      // Remember the reply so it can be edited if the ticket is withdrawn
+      updateLinkedTicket(channelId, messageTs, { confirmationTs: confirmation.ts });
+    } catch (error) {
+      log.error('Error after creating Jira ticket', { ticketKey, messageKey, error });
+      await postTicketCreatedWithError(client, channelId, messageTs, ticketKey, error);
+    }
+  } finally {
+    inFlightMessages.delete(messageKey);
+  }
+}
+
+/**
+ * Build the review modal, prefilled with the parsed details
+ */
+function buildReviewModal(route, parsed, channelId, messageTs) {
+  const messageType = parsed.messageType || 'onboarding';
+  const priorityMapping = route.fields.find(mapping => [].concat(mapping.field).includes('priority'));
+  const initialPriority = parsed.details.priority || priorityMapping?.default || 'Low';
+
+  const detailBlocks = REVIEW_FIELDS[messageType].map(key => {
+    const value = parsed.details[key];
+    let element;
+
+    if (DATE_DETAILS.includes(key)) {
+      const isoDate = formatDateForJira(value);
+      element = { type: 'datepicker', action_id: 'value' };
+      if (isoDate) {
+        element.initial_date = isoDate;
+      }
+    } else {
+      element = { type: 'plain_text_input', action_id: 'value' };
+      if (value) {
+        element.initial_value = value;
+      }
+    }
+
+    return {
+      type: 'input',
+      block_id: key,
+      optional: true,
+      label: { type: 'plain_text', text: DETAIL_DISPLAY_NAMES[key] || key },
+      element: element
+    };
+  });
+
+  const priorityOption = name => ({ text: { type: 'plain_text', text: name }, value: name });
+
+  return {
+    type: 'modal',
+    callback_id: 'review_ticket_modal',
+    private_metadata: JSON.stringify({ channelId, messageTs, route: route.name }),
+    title: { type: 'plain_text', text: 'Review Jira ticket' },
+    submit: { type: 'plain_text', text: 'Create ticket' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Parsed as a ${parsed.parser} ${parsed.messageType || 'unrecognized'} message → ${route.projectKey} ${route.requestType || route.issueType}`
+        }]
+      },
+      ...detailBlocks,
+      {
+        type: 'input',
+        block_id: 'priority',
+        label: { type: 'plain_text', text: 'Priority' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: PRIORITY_OPTIONS.map(priorityOption),
+          initial_option: priorityOption(PRIORITY_OPTIONS.includes(initialPriority) ? initialPriority : 'Low')
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Open the review modal for a message, or explain why it can't be opened
+ */
+async function openReviewModal(client, { triggerId, channelId, messageTs, userId, candidateRoutes }) {
+  const linkedTicket = getLinkedTicket(channelId, messageTs);
+
+  if (linkedTicket) {
+    await postExistingTicketReply(client, channelId, messageTs, linkedTicket);
+    return;
+  }
+
+  const fetched = await fetchAndParseMessage(client, channelId, messageTs);
+
+  if (!fetched) {
+    log.error('Could not retrieve the message', { channelId, messageTs });
+    return;
+  }
+
+  const route = selectRoute(candidateRoutes, fetched.parsed.messageType);
+
+  if (!route) {
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `No Jira routing rule matches this ${fetched.parsed.messageType || 'kind of'} message.`
+    });
+    return;
+  }
+
+  const authorizationError = await getAuthorizationError(client, route, userId, fetched.message);
+
+  if (authorizationError) {
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: authorizationError
+    });
+    return;
+  }
+
+  await client.views.open({
+    trigger_id: triggerId,
+    view: buildReviewModal(route, fetched.parsed, channelId, messageTs)
+  });
+}
+
+// Forget a workspace's token when the app is removed from it (only with OAuth installs)
+app.event('app_uninstalled', async ({ context }) => {
+  if (!SLACK_OAUTH_ENABLED) return;
+
+  try {
+    await installationStore.deleteInstallation({
+      teamId: context.teamId,
+      enterpriseId: context.enterpriseId,
+      isEnterpriseInstall: context.isEnterpriseInstall
+    });
+  } catch (error) {
+    log.error('Error removing Slack installation', { teamId: context.teamId, error });
+  }
+});
+
+// Listen for reaction_added events
+app.event('reaction_added', async ({ event, context, client }) => {
+  const { reaction, item, user } = event;
+
+  try {
+    // Check if the reaction is a trigger emoji for any route
+    if (!routes.some(route => route.emoji === reaction)) {
+      log.info('Reaction doesn\'t match any trigger emoji', { reaction });
+      return;
+    }
+
+    // Get channel name to find the routes for this channel + emoji
+    const channelName = await getChannelName(client, item.channel);
+    const channelRoutes = findRoutes(reaction, item.channel, channelName, context.teamId);
+
+    if (channelRoutes.length === 0) {
+      log.info('No route for this reaction in the channel', { reaction, channel: channelName });
+      return;
+    }
+
+    incrementCounter('slack_jira_reactions_total', { channel: channelName, emoji: reaction });
+
+    // Check early so a ticketed message isn't fetched and parsed again
+    const linkedTicket = getLinkedTicket(item.channel, item.ts);
+
+    if (linkedTicket) {
+      log.info('Message already has a ticket, skipping', { ticketKey: linkedTicket.ticketKey });
+      await postExistingTicketReply(client, item.channel, item.ts, linkedTicket);
+      return;
+    }
+
+    // Get the message that was reacted to
+    const fetched = await fetchAndParseMessage(client, item.channel, item.ts);
+
+    if (!fetched) {
+      log.error('Could not retrieve the message', { channelId: item.channel, messageTs: item.ts });
+      incrementCounter('slack_jira_ticket_failures_total', { cause: 'message_unavailable' });
+      return;
+    }
+
+    // Pick the route for this kind of notice (e.g. onboarding vs offboarding)
+    const route = selectRoute(channelRoutes, fetched.parsed.messageType);
+
+    if (!route) {
+      log.info('No route for this message type in the channel', { messageType: fetched.parsed.messageType || 'unrecognized', channel: channelName });
+      return;
+    }
+
+    // Only allowed people can create tickets, and only from allowed authors' messages
+    const authorizationError = await getAuthorizationError(client, route, user, fetched.message);
+
+    if (authorizationError) {
+      log.info('Not creating a ticket: not authorized', { userId: user, route: route.name });
+      incrementCounter('slack_jira_ticket_failures_total', { cause: 'not_authorized' });
+      await recordCreationAttempt(client, {
+        channelId: item.channel,
+        messageTs: item.ts,
+        route: route,
+        message: fetched.message,
+        parsed: fetched.parsed,
+        requestedBy: user
+      }, 'not_authorized', { error: authorizationError });
+      await client.chat.postEphemeral({
+        channel: item.channel,
+        user: user,
+        text: authorizationError
+      });
+      return;
+    }
+
+    // In review mode, the reactor checks the parsed details in a modal first.
+    // Reactions don't come with a trigger_id, so offer a button that opens it.
+    if (route.review) {
+      log.info('Offering review', { route: route.name });
+      await client.chat.postEphemeral({
+        channel: item.channel,
+        user: user,
+        text: 'Review the parsed details before creating a Jira ticket',
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: 'Review the parsed details before creating a Jira ticket.' },
+            accessory: {
+              type: 'button',
+              action_id: 'review_ticket',
+              text: { type: 'plain_text', text: 'Review & create' },
+              style: 'primary',
+              value: JSON.stringify({ channelId: item.channel, messageTs: item.ts, emoji: reaction })
+            }
+          }
+        ]
+      });
+      return;
+    }
+
+    log.info('Processing reaction', { channel: channelName, route: route.name });
+
+    await createTicketForMessage(client, {
+      channelId: item.channel,
+      messageTs: item.ts,
+      route: route,
+      message: fetched.message,
+      text: fetched.text,
+      parsed: fetched.parsed,
+      requestedBy: user
+    });
+
+  } catch (error) {
+    log.error('Error handling reaction', { error });
+
+    // Optionally notify in Slack about the error
+    await postTicketError(client, item.channel, item.ts, error);
+  }
+});
+
+// "Link to existing" button on a possible duplicate
+app.action(/^link_existing_ticket_/, async ({ ack, body, client }) => {
+  await ack();
+
+  const { messageKey, ticketKey } = JSON.parse(body.actions[0].value);
+  const pending = pendingDuplicateChoices.get(messageKey);
+
+  try {
+    if (!pending) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: 'This choice has expired - react to the message again to start over.'
+      });
+      return;
+    }
+
+    const fetched = await fetchAndParseMessage(client, pending.channelId, pending.messageTs);
+    const actionError = await getRequestActionError(client, pending.route, body.user.id, pending.requestedBy, fetched?.message);
+    if (actionError) {
+      await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: actionError });
+      return;
+    }
+    pendingDuplicateChoices.delete(messageKey);
+
+    // Add the repost to the existing ticket so nothing in it gets lost
+    const messageLink = await getMessageLink(client, pending.channelId, pending.messageTs);
+    const userName = await getUserName(client, body.user.id);
+    const repostText = fetched ? await slackTextToJira(client, fetched.text) : '';
+    await addJiraComment(ticketKey, `Reposted in Slack: ${messageLink}\n\n${repostText}\n\n_— linked by ${userName} ${SLACK_COMMENT_MARKER}_`);
+
+    // Thread replies and status updates now follow the existing ticket
+    recordLinkedTicket(pending.channelId, pending.messageTs, {
+      ...(await getClientWorkspace(client)),
+      ticketKey: ticketKey,
+      route: pending.routeName,
+      reactedBy: body.user.id,
+      linkedToExisting: true
+    });
+    await recordCreationAttempt(client, {
+      channelId: pending.channelId,
+      messageTs: pending.messageTs,
+      route: pending.route,
+      message: fetched?.message,
+      parsed: pending.parsed,
+      requestedBy: body.user.id,
+      messageLink
+    }, 'linked_existing', { ticketKey });
+
+    await client.chat.update({
+      channel: pending.channelId,
+      ts: pending.promptTs,
+      text: `🔗 Linked to <${process.env.JIRA_BASE_URL}/browse/${ticketKey}|${ticketKey}> by <@${body.user.id}> - this message was added as a comment`,
+      blocks: []
+    });
+    log.info('Linked message to existing ticket', { messageKey, ticketKey });
+  } catch (error) {
+    log.error('Error linking to existing ticket', { messageKey, ticketKey, error });
+  }
+});
+
+// "Create anyway" button on a possible duplicate
+app.action('create_ticket_anyway', async ({ ack, body, client }) => {
+  await ack();
+
+  const messageKey = body.actions[0].value;
+  const pending = pendingDuplicateChoices.get(messageKey);
+
+  try {
+    if (!pending) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: 'This choice has expired - react to the message again to start over.'
+      });
+      return;
+    }
+
+    const fetched = await fetchAndParseMessage(client, pending.channelId, pending.messageTs);
+    if (!fetched) {
+      log.error('Could not retrieve the message', { messageKey });
+      return;
+    }
+
+    const actionError = await getRequestActionError(client, pending.route, body.user.id, pending.requestedBy, fetched.message);
+    if (actionError) {
+      await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: actionError });
+      return;
+    }
+    pendingDuplicateChoices.delete(messageKey);
+
+    await client.chat.update({
+      channel: pending.channelId,
+      ts: pending.promptTs,
+      text: `➕ <@${body.user.id}> chose to create a new ticket anyway`,
+      blocks: []
+    });
+
+    await createTicketForMessage(client, {
+      channelId: pending.channelId,
+      messageTs: pending.messageTs,
+      route: pending.route,
+      message: fetched.message,
+      text: fetched.text,
+      // Keep the details as they were (possibly edited in the review modal)
+      parsed: pending.parsed,
+      requestedBy: pending.requestedBy,
+      skipDuplicateCheck: true
+    });
+  } catch (error) {
+    log.error('Error creating ticket anyway', { messageKey, error });
+  }
+});
+
+/**
+ * Change fields on an existing Jira issue (or its assignee via the dedicated endpoint)
+ */
+async function updateJiraIssue(ticketKey, resource, body) {
+  await jira.put(jiraApiPath(`issue/${ticketKey}${resource}`), body);
+}
+
+/**
+ * Add a line to the confirmation card's activity log, so the thread shows what was done from Slack
+ */
+async function addCardActivity(client, body, line) {
+  const blocks = body.message.blocks;
+  const activity = blocks.find(block => block.block_id === 'ticket_activity');
+
+  if (activity) {
+    activity.elements = [...activity.elements, { type: 'mrkdwn', text: line }].slice(-10);
+  } else {
+    // Just above the buttons
+    blocks.splice(blocks.length - 1, 0, { type: 'context', block_id: 'ticket_activity', elements: [{ type: 'mrkdwn', text: line }] });
+  }
+
+  await client.chat.update({ channel: body.channel.id, ts: body.message.ts, text: body.message.text, blocks });
+}
+
+// "Open in Jira" is a link button, but Slack still expects the action to be acknowledged
+app.action('open_in_jira', async ({ ack }) => {
+  await ack();
+});
+
+// "Assign to me" button on the confirmation card
+app.action('assign_ticket_to_me', async ({ ack, body, client }) => {
+  await ack();
+
+  const ticketKey = body.actions[0].value;
+
+  try {
+    const email = await getUserEmail(client, body.user.id);
+    const jiraUser = email ? await resolveJiraUser(email, 'Assignee') : { warning: 'Your Slack profile has no email address' };
+
+    if (!jiraUser.accountId) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: `Couldn't assign ${ticketKey} to you: ${jiraUser.warning}`
+      });
+      return;
+    }
+
+    await updateJiraIssue(ticketKey, '/assignee', jiraUserReference(jiraUser.accountId));
+    await addCardActivity(client, body, `👤 Assigned to <@${body.user.id}>`);
+    log.info('Assigned ticket from Slack', { ticketKey, userId: body.user.id });
+  } catch (error) {
+    log.error('Error assigning ticket', { ticketKey, error });
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Couldn't assign ${ticketKey} to you: ${describeJiraError(error).join('; ')}`
+    });
+  }
+});
+
+// "Change priority" menu on the confirmation card
+app.action('change_ticket_priority', async ({ ack, body, client }) => {
+  await ack();
+
+  const [ticketKey, priority] = body.actions[0].selected_option.value.split('|');
+
+  try {
+    await updateJiraIssue(ticketKey, '', { fields: { priority: { name: priority } } });
+    await addCardActivity(client, body, `🚩 Priority changed to *${priority}* by <@${body.user.id}>`);
+    log.info('Changed ticket priority', { ticketKey, priority });
+  } catch (error) {
+    log.error('Error changing ticket priority', { ticketKey, error });
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Couldn't change the priority of ${ticketKey}: ${describeJiraError(error).join('; ')}`
+    });
+  }
+});
+
+// "Retry now" button on a failed ticket creation
+app.action('retry_ticket', async ({ ack, body, client }) => {
+  await ack();
+
+  const entry = outbox[body.actions[0].value];
+
+  try {
+    if (!entry) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: 'There\'s nothing left to retry - the ticket was already created.'
+      });
+      return;
+    }
+
+    // Someone else's request only if the route would let them create the ticket themselves
+    const route = routes.find(r => r.name === entry.route);
+    if (route && body.user.id !== entry.requestedBy) {
+      const fetched = await fetchAndParseMessage(client, entry.channelId, entry.messageTs);
+      const actionError = await getRequestActionError(client, route, body.user.id, entry.requestedBy, fetched?.message);
+      if (actionError) {
+        await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: actionError });
+        return;
+      }
+    }
+
+    await retryOutboxEntry(client, entry);
+  } catch (error) {
+    log.error('Error retrying ticket', { messageKey: body.actions[0].value, error });
+  }
+});
+
+// "Review & create" button from the ephemeral prompt
+app.action('review_ticket', async ({ ack, body, context, client }) => {
+  await ack();
+
+  const { channelId, messageTs, emoji } = JSON.parse(body.actions[0].value);
+
+  try {
+    const channelName = await getChannelName(client, channelId);
+
+    await openReviewModal(client, {
+      triggerId: body.trigger_id,
+      channelId: channelId,
+      messageTs: messageTs,
+      userId: body.user.id,
+      candidateRoutes: findRoutes(emoji, channelId, channelName, context.teamId)
+    });
+  } catch (error) {
+    log.error('Error opening review modal', { error });
+  }
+});
+
+// "Create Jira ticket" message shortcut - always reviews first
+app.shortcut('create_jira_ticket', async ({ ack, shortcut, context, client }) => {
+  await ack();
+
+  try {
+    const channelId = shortcut.channel.id;
+    const channelName = await getChannelName(client, channelId);
+    const channelRoutes = findRoutes(null, channelId, channelName, context.teamId);
+
+    if (channelRoutes.length === 0) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: shortcut.user.id,
+        text: `#${channelName} isn't set up for Jira tickets.`
+      });
+      return;
+    }
+
+    await openReviewModal(client, {
+      triggerId: shortcut.trigger_id,
+      channelId: channelId,
+      messageTs: shortcut.message.ts,
+      userId: shortcut.user.id,
+      candidateRoutes: channelRoutes
+    });
+  } catch (error) {
+    log.error('Error handling create ticket shortcut', { error });
+  }
+});
+
+// Review modal submitted - create the ticket from the edited values
+app.view('review_ticket_modal', async ({ ack, body, view, client }) => {
+  await ack();
+
+  const { channelId, messageTs, route: routeName } = JSON.parse(view.private_metadata);
+
+  try {
+    const route = routes.find(r => r.name === routeName);
+    const fetched = await fetchAndParseMessage(client, channelId, messageTs);
+
+    if (!route || !fetched) {
+      log.error('Could not find the route or message for the review modal', { route: routeName, channelId, messageTs });
+      return;
+    }
+
+    // Replace the parsed details with what the reviewer submitted
+    const details = { ...fetched.parsed.details };
+    for (const [key, block] of Object.entries(view.state.values)) {
+      const input = block.value;
+      const value = input.selected_date || input.selected_option?.value || input.value;
+      if (value) {
+        details[key] = value.trim();
+      } else {
+        delete details[key];
+      }
+    }
+
+    const parsed = {
+      ...fetched.parsed,
+      details: details,
+      missingFields: findMissingFields(fetched.parsed.messageType, details)
+    };
+
+    log.info('Creating reviewed ticket', { route: route.name });
+
+    await createTicketForMessage(client, {
+      channelId: channelId,
+      messageTs: messageTs,
+      route: route,
+      message: fetched.message,
+      text: fetched.text,
+      parsed: parsed,
+      requestedBy: body.user.id
+    });
+  } catch (error) {
+    log.error('Error creating reviewed ticket', { error });
+    await postTicketError(client, channelId, messageTs, error);
+  }
+});
+
+// Bot reaction on the original message for each Jira status category
+const STATUS_CATEGORY_REACTIONS = {
+  indeterminate: 'hourglass_flowing_sand',
+  done: 'white_check_mark',
+};
+
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
+
+// Appended to comments mirrored from Slack so the comment webhook doesn't echo them back
+const SLACK_COMMENT_MARKER = '(posted from Slack)';
+
+/**
+ * Read the raw body of an HTTP request
+ */
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_WEBHOOK_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check a Jira webhook's X-Hub-Signature ("sha256=<hex HMAC of the body>")
+ * against JIRA_WEBHOOK_SECRET
+ */
+function verifyJiraWebhookSignature(rawBody, signatureHeader) {
+  if (!signatureHeader || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.JIRA_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+  const received = signatureHeader.slice('sha256='.length);
+
+  return received.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+/**
+ * Describe the status, assignee and resolution changes in a Jira changelog
+ */
+function describeIssueChanges(changelog) {
+  const lines = [];
+
+  (changelog?.items || []).forEach(item => {
+    if (item.field === 'status') {
+      lines.push(`🔄 Status: ${item.fromString || 'None'} → *${item.toString}*`);
+    } else if (item.field === 'assignee') {
+      lines.push(item.toString ? `👤 Assigned to *${item.toString}*` : '👤 Unassigned');
+    } else if (item.field === 'resolution') {
+      lines.push(item.toString ? `🏁 Resolved as *${item.toString}*` : '↩️ Reopened');
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Swap the bot's status reaction on the original message to match the issue's status
+ */
+async function syncStatusReaction(client, record, statusCategoryKey) {
+  const reaction = STATUS_CATEGORY_REACTIONS[statusCategoryKey] || null;
+  if (reaction === (record.statusReaction || null)) return;
+
+  try {
+    if (record.statusReaction) {
+      await client.reactions.remove({
+        channel: record.channel,
+        timestamp: record.ts,
+        name: record.statusReaction
+      });
+    }
+    if (reaction) {
+      await client.reactions.add({
+        channel: record.channel,
+        timestamp: record.ts,
+        name: reaction
+      });
+    }
+  } catch (error) {
+    log.error('Error updating status reaction', { ticketKey: record.ticketKey, error });
+  }
+
+  updateLinkedTicket(record.channel, record.ts, { statusReaction: reaction });
+}
+
+/**
+ * Handle a Jira webhook for a ticket the bot created: issue updates and new comments
+ */
+async function handleJiraWebhook(req, res) {
+  let payload;
+
+  try {
+    const rawBody = await readRequestBody(req);
+
+    if (!verifyJiraWebhookSignature(rawBody, req.headers['x-hub-signature'])) {
+      log.warn('Rejected Jira webhook with missing or invalid signature');
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    log.error('Error reading Jira webhook', { error });
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  // Acknowledge straight away so Jira doesn't retry while we talk to Slack
+  res.writeHead(200);
+  res.end();
+
+  const ticketKey = payload.issue?.key;
+  const record = ticketKey && findLinkedTicketByKey(ticketKey);
+
+  if (!record) {
+    log.debug('Ignoring Jira webhook: no linked Slack message', { ticketKey });
+    return;
+  }
+
+  let client;
+  try {
+    client = await getSlackClient(record);
+  } catch (error) {
+    log.error('Error handling Jira webhook', { ticketKey, error });
+    return;
+  }
+
+  if (payload.webhookEvent === 'jira:issue_updated') {
+    await handleIssueUpdated(client, payload, record);
+  } else if (payload.webhookEvent === 'comment_created') {
+    await handleCommentCreated(client, payload, record);
+  }
+}
+
+/**
+ * Post status/assignee/resolution changes in the thread and update the status reaction
+ */
+async function handleIssueUpdated(client, payload, record) {
+  const ticketKey = payload.issue.key;
+  const changes = describeIssueChanges(payload.changelog);
+  if (changes.length === 0) return;
+
+  log.info('Jira webhook: issue updated', { ticketKey, updates: changes.length });
+
+  try {
+    const changedBy = payload.user?.displayName ? ` by ${payload.user.displayName}` : '';
+    await client.chat.postMessage({
+      channel: record.channel,
+      thread_ts: record.ts,
+      text: `*${ticketKey}* updated${changedBy}:\n${changes.join('\n')}`
+    });
+
+    await syncStatusReaction(client, record, payload.issue.fields?.status?.statusCategory?.key);
+  } catch (error) {
+    log.error('Error posting Jira update', { ticketKey, error });
+  }
+}
+
+/**
+ * Post a public Jira comment in the ticket's Slack thread
+ */
+async function handleCommentCreated(client, payload, record) {
+  const ticketKey = payload.issue.key;
+  const comment = payload.comment || {};
+
+  // Skip comments that were mirrored from Slack in the first place
+  if (!comment.body || comment.body.includes(SLACK_COMMENT_MARKER)) return;
+
+  // Internal JSM comments stay in Jira (non-JSM projects have no jsdPublic flag)
+  if (comment.jsdPublic === false) return;
+
+  log.info('Jira webhook: new comment', { ticketKey });
+
+  const quoted = comment.body.split('\n').map(line => `> ${line}`).join('\n');
+
+  try {
+    await client.chat.postMessage({
+      channel: record.channel,
+      thread_ts: record.ts,
+      text: `💬 *${comment.author?.displayName || 'Someone'}* commented on *${ticketKey}*:\n${quoted}`,
+      // Marks the reply as mirrored so the thread listener never sends it back to Jira
+      metadata: {
+        event_type: 'jira_comment_mirrored',
+        event_payload: { ticket_key: ticketKey, comment_id: String(comment.id) }
+      }
+    });
+  } catch (error) {
+    log.error('Error posting Jira comment', { ticketKey, error });
+  }
+}
+
+/**
+ * Convert Slack mrkdwn to text for a Jira comment: user mentions become names, and on
+ * REST v2 links become Jira wiki links (v3 keeps the mrkdwn for the ADF conversion)
+ */
+async function slackTextToJira(client, text) {
+  let converted = JIRA_API_VERSION === '3' ? text : text
+    .replace(/<(https?:\/\/[^|>]+)\|([^>]+)>/g, '[$2|$1]')
+    .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+    .replace(/<mailto:[^|>]+\|([^>]+)>/g, '$1');
+
+  const mentionedUsers = [...new Set([...converted.matchAll(/<@([A-Z0-9]+)>/g)].map(match => match[1]))];
+  for (const userId of mentionedUsers) {
+    const name = await getUserName(client, userId);
+    converted = converted.split(`<@${userId}>`).join(`@${name}`);
+  }
+
+  return converted;
+}
+
+/**
+ * Add a Slack thread reply to a Jira issue as a comment
+ */
+async function addJiraComment(ticketKey, body) {
+  await jira.post(jiraApiPath(`issue/${ticketKey}/comment`), { body: toJiraRichText(body) });
+}
+
+/**
+ * Get the fields that can be edited on an existing issue
+ */
+async function getIssueEditMetadata(ticketKey) {
+  const response = await jira.get(jiraApiPath(`issue/${ticketKey}/editmeta`));
+
+  return Object.entries(response.data.fields || {}).map(([fieldId, fieldInfo]) => ({
+    id: fieldId,
+    name: fieldInfo.name,
+    schema: fieldInfo.schema
+  }));
+}
+
+/**
+ * Bring a ticket up to date after its Slack message was edited: re-parse the message,
+ * update the fields whose mapped values changed, and note the changes in Jira and the thread
+ */
+async function handleMessageEdited(client, event) {
+  const record = getLinkedTicket(event.channel, event.message.ts);
+  // Tickets linked from a repost belong to the original message
+  if (!record || record.linkedToExisting || !event.previous_message) return;
+
+  const route = routes.find(r => r.name === record.route);
+  if (!route) return;
+
+  const newText = extractMessageText(event.message);
+  const oldText = extractMessageText(event.previous_message);
+  // Link unfurls and similar also arrive as edits
+  if (newText === oldText) return;
+
+  const newParsed = parseMessage(event.message, newText);
+  const oldParsed = parseMessage(event.previous_message, oldText);
+
+  const detailKeys = new Set([...Object.keys(oldParsed.details), ...Object.keys(newParsed.details)]);
+  const changedKeys = [...detailKeys].filter(key => (oldParsed.details[key] || '') !== (newParsed.details[key] || ''));
+  const changes = changedKeys.map(key => ({
+    label: DETAIL_DISPLAY_NAMES[key] || key,
+    from: oldParsed.details[key] || '(none)',
+    to: newParsed.details[key] || '(none)'
+  }));
+  if (changes.length === 0) return;
+
+  log.info('Ticketed message was edited', { ticketKey: record.ticketKey, changed: changes.map(change => change.label) });
+
+  // Values that don't come from the message stay as they were when the ticket was created
+  const sharedContext = {
+    userName: await getAuthorName(client, event.message),
+    messageLink: await getMessageLink(client, event.channel, event.message.ts),
+    today: formatLocalDate(new Date(record.createdAt))
+  };
+  const oldContext = { ...oldParsed.details, text: oldText, ...sharedContext };
+  const newContext = { ...newParsed.details, text: newText, ...sharedContext };
+
+  const changeList = changes.map(change => `${change.label}: ${change.from} → ${change.to}`);
+  const warnings = getDateWarnings(newParsed.details, changedKeys);
+  let updatedFields = [];
+
+  try {
+    const editableFields = await getIssueEditMetadata(record.ticketKey);
+
+    // Only touch fields whose mapped value actually changed
+    const oldValues = collectMappedValues(route.fields, oldContext, editableFields);
+    const newValues = collectMappedValues(route.fields, newContext, editableFields);
+    const changedFields = editableFields.filter(field =>
+      JSON.stringify(oldValues[field.id]?.value) !== JSON.stringify(newValues[field.id]?.value)
+    );
+
+    if (changedFields.length > 0) {
+      const resolvedUsers = await resolveUserFieldValues(route.fields, newContext, editableFields, warnings);
+      const fieldValues = buildFieldValues(route.fields, newContext, editableFields, [], resolvedUsers);
+      const fields = {};
+      changedFields.forEach(field => {
+        if (field.id in fieldValues) {
+          fields[field.id] = fieldValues[field.id];
+        } else if (!newValues[field.id]) {
+          // A detail removed from the message clears its field
+          fields[field.id] = null;
+        }
+        // Otherwise the new value couldn't be converted (e.g. an unreadable date) - leave the field as it was
+      });
+
+      await jira.put(jiraApiPath(`issue/${record.ticketKey}`), { fields });
+      updatedFields = changedFields.map(field => field.name || field.id);
+    }
+
+    await addJiraComment(
+      record.ticketKey,
+      `The Slack message was edited:\n${changeList.map(line => `* ${line}`).join('\n')}\n\n_${SLACK_COMMENT_MARKER}_`
+    );
+  } catch (error) {
+    log.error('Error updating ticket after edit', { ticketKey: record.ticketKey, error });
+    await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.message.ts,
+      text: `⚠️ The message was edited, but ${record.ticketKey} couldn't be updated (${error.response?.status || error.message}). Please update it by hand:\n${changeList.map(line => `• ${line}`).join('\n')}`
+    });
+    return;
+  }
+
+  // Keep the start date used by the digest and alerts current
+  if (newParsed.details.startDate !== oldParsed.details.startDate) {
+    updateLinkedTicket(record.channel, record.ts, {
+      startDate: formatDateForJira(newParsed.details.startDate) || undefined,
+      atRiskAlertedAt: undefined
+    });
+  }
+
+  const lines = [`✏️ The message was edited - updated <${process.env.JIRA_BASE_URL}/browse/${record.ticketKey}|${record.ticketKey}>:`];
+  changeList.forEach(line => lines.push(`• ${line}`));
+  if (updatedFields.length === 0) {
+    lines.push('No ticket fields use these details, so only a comment was added.');
+  }
+  warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+
+  await client.chat.postMessage({
+    channel: event.channel,
+    thread_ts: event.message.ts,
+    text: lines.join('\n')
+  });
+}
+
+// Mirror replies in a ticket's Slack thread into Jira comments, and apply edits to ticketed messages
+app.event('message', async ({ event, client }) => {
+  if (event.subtype === 'message_changed') {
+    try {
+      await handleMessageEdited(client, event);
+    } catch (error) {
+      log.error('Error handling edited message', { error });
+    }
+    return;
+  }
+
+  // Only human replies in threads (thread_broadcast is a reply also sent to the channel)
+  const isReply = event.thread_ts && event.thread_ts !== event.ts;
+  const isHumanMessage = !event.bot_id && (!event.subtype || event.subtype === 'thread_broadcast');
+  if (!isReply || !isHumanMessage || !event.text) return;
+
+  const record = getLinkedTicket(event.channel, event.thread_ts);
+  if (!record) return;
+
+  try {
+    const authorName = await getUserName(client, event.user);
+    const body = `${await slackTextToJira(client, event.text)}\n\n_— ${authorName} ${SLACK_COMMENT_MARKER}_`;
+
+    await addJiraComment(record.ticketKey, body);
+    log.info('Mirrored Slack reply to Jira', { ticketKey: record.ticketKey, userId: event.user });
+  } catch (error) {
+    log.error('Error mirroring Slack reply to Jira', { ticketKey: record.ticketKey, error });
+  }
+});
+
+// How long after creation a ticket can still be withdrawn from Slack
+const UNDO_WINDOW_MS = (Number(process.env.UNDO_WINDOW_MINUTES) || 10) * 60 * 1000;
+
+// Transitions (or target statuses) that withdraw a ticket, in order of preference. A name matches
+// the start of any word, case-insensitively, so "Cancel" also finds "Cancel request" and "Canceled".
+const CANCEL_TRANSITION_NAMES = (process.env.JIRA_CANCEL_TRANSITIONS || 'Cancel,Decline,Withdraw,Reject,Won\'t Do')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const CANCEL_TRANSITION_PATTERNS = CANCEL_TRANSITION_NAMES.map(name =>
+  new RegExp(`(^|[^a-z])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i')
+);
+
+/**
+ * Move an issue through the most preferred cancel-like transition its workflow offers.
+ * Returns the status it moved to, or null if there's no such transition.
+ */
+async function cancelJiraIssue(issueKey) {
+  const issuePath = jiraApiPath(`issue/${issueKey}`);
+  const response = await jira.get(`${issuePath}/transitions`);
+  const transitions = response.data.transitions || [];
+
+  for (const pattern of CANCEL_TRANSITION_PATTERNS) {
+    const transition = transitions.find(t => pattern.test(t.name) || pattern.test(t.to?.name || ''));
+    if (transition) {
+      await jira.post(`${issuePath}/transitions`, { transition: { id: transition.id } });
+      return transition.to?.name || transition.name;
+    }
+  }
+
+  log.info('No cancel transition', { issueKey, availableTransitions: transitions.map(t => t.name) });
+  return null;
+}
+
+/**
+ * Cancel checklist items in Jira. Returns the ones that are still open.
+ */
+async function cancelChecklistItems(ticketKey, checklistKeys) {
+  const leftOpen = [];
+  for (const issueKey of checklistKeys) {
+    try {
+      if (!(await cancelJiraIssue(issueKey))) leftOpen.push(issueKey);
+    } catch (error) {
+      log.error('Error withdrawing checklist item', { ticketKey, issueKey, error });
+      leftOpen.push(issueKey);
     }
+  }
+  return leftOpen;
+}
 
-    console.error('New Hire Onboarding request type not found');
-    return null;
-  } catch (error) {
-    console.error('Error fetching Service Desk info:');
-    console.error('Status:', error.response?.status);
-    console.error('Error:', error.response?.data || error.message);
-    return null;
+/**
+ * Withdraw a ticket in Jira: transition it to a cancelled/declined status if the
+ * workflow has one, otherwise delete it. Its checklist items are withdrawn after it,
+ * so a ticket that can't be withdrawn keeps them open.
+ * Returns how it was withdrawn and the checklist items that are still open.
+ */
+async function withdrawJiraTicket(ticketKey, { checklistKeys = [], checklistLinked = false } = {}) {
+  const status = await cancelJiraIssue(ticketKey);
+  if (status) {
+    log.info('Withdrew Jira ticket by transition', { ticketKey, transition: status });
+    return { outcome: `moved to ${status}`, leftOpen: await cancelChecklistItems(ticketKey, checklistKeys) };
   }
+
+  // No cancel transition in the workflow - delete it instead (needs the Delete Issues permission)
+  log.info('Deleting the Jira ticket', { ticketKey });
+  await jira.delete(jiraApiPath(`issue/${ticketKey}`), {
+    // Checklist sub-tasks go with it; linked issues have to be cancelled on their own
+    params: { deleteSubtasks: true }
+  });
+  return { outcome: 'deleted', leftOpen: checklistLinked ? await cancelChecklistItems(ticketKey, checklistKeys) : [] };
 }
 
 /**
- * Get field metadata for creating an issue
+ * Withdraw the ticket for a Slack message if it's still within the undo window,
+ * otherwise tell the user why it can't be undone
  */
-async function getIssueCreateMetadata() {
-  const metadataUrl = `${process.env.JIRA_BASE_URL}/rest/api/2/issue/createmeta?projectKeys=${JIRA_PROJECT_KEY}&issuetypeNames=${encodeURIComponent(JIRA_ISSUE_TYPE)}&expand=projects.issuetypes.fields`;
+async function undoLinkedTicket(client, record, userId) {
+  const ticketUrl = `${process.env.JIRA_BASE_URL}/browse/${record.ticketKey}`;
+
+  // The ticket belongs to an earlier message - only unlink this one
+  if (record.linkedToExisting) {
+    removeLinkedTicket(record.channel, record.ts);
+    log.info('Unlinked message from existing ticket', { messageKey: getMessageKey(record.channel, record.ts), ticketKey: record.ticketKey });
+    return;
+  }
+  const ageMs = Date.now() - Date.parse(record.createdAt);
+
+  if (ageMs > UNDO_WINDOW_MS) {
+    log.info('Not withdrawing ticket: past the undo window', { ticketKey: record.ticketKey, ageMinutes: Math.round(ageMs / 60000) });
+    await client.chat.postEphemeral({
+      channel: record.channel,
+      user: userId,
+      thread_ts: record.ts,
+      text: `${record.ticketKey} was created more than ${UNDO_WINDOW_MS / 60000} minutes ago, so it can't be undone from Slack any more - someone may already be working on it. Close it in Jira if it's not needed: ${ticketUrl}`
+    });
+    return;
+  }
 
+  const route = routes.find(candidate => candidate.name === record.route);
+
+  let outcome;
+  let leftOpen;
   try {
-    const response = await axios.get(metadataUrl, {
-      headers: {
-        'Authorization': `Basic ${Buffer.from(
-          `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
-        ).toString('base64')}`,
-        'Content-Type': 'application/json',
-      },
+    ({ outcome, leftOpen } = await withdrawJiraTicket(record.ticketKey, {
+      checklistKeys: record.checklistKeys,
+      checklistLinked: Boolean(route?.checklist?.linkType)
+    }));
+  } catch (error) {
+    log.error('Error withdrawing ticket', { ticketKey: record.ticketKey, error });
+    await client.chat.postEphemeral({
+      channel: record.channel,
+      user: userId,
+      thread_ts: record.ts,
+      text: `Couldn't withdraw ${record.ticketKey} (${error.response?.status || error.message}) - close it in Jira instead: ${ticketUrl}`
     });
+    return;
+  }
 
-    const project = response.data.projects?.[0];
-    const issueType = project?.issuetypes?.[0];
-    const fields = issueType?.fields || {};
-
-    return fields;
+  // Forget the ticket so the message can be ticketed again, and tidy up the thread
+  removeLinkedTicket(record.channel, record.ts);
+  await syncStatusReaction(client, record, null);
+  await recordCreationAttempt(client, {
+    channelId: record.channel,
+    messageTs: record.ts,
+    route: route,
+    requestedBy: userId
+  }, 'withdrawn', { ticketKey: record.ticketKey, subject: record.subject });
+
+  let withdrawnText = `🚫 ${record.ticketKey} was withdrawn by <@${userId}> (${outcome} in Jira)`;
+  if (leftOpen.length > 0) {
+    withdrawnText += `\n⚠️ Its checklist items ${leftOpen.join(', ')} are still open - close them in Jira`;
+  }
+  try {
+    if (record.confirmationTs) {
+      await client.chat.update({ channel: record.channel, ts: record.confirmationTs, text: withdrawnText, blocks: [] });
+    } else {
+      await client.chat.postMessage({ channel: record.channel, thread_ts: record.ts, text: withdrawnText });
+    }
   } catch (error) {
-    console.error('Error fetching issue metadata:', error.response?.data || error.message);
-    return {};
+    log.error('Error updating confirmation message', { ticketKey: record.ticketKey, error });
   }
+
+  log.info('Withdrew ticket', { ticketKey: record.ticketKey, outcome, userId });
 }
 
 /**
- * Parse Rippling message to extract employee details
+ * Drop a ticket request that hasn't created a ticket yet - queued for a retry, or waiting
+ * for a duplicate choice - if it was made by this user, and say so in the thread
  */
-function parseRipplingMessage(text) {
-  const details = {};
-
-  // Common patterns in Rippling messages
-  const patterns = {
-    name: /New Hire:\s*(.+?)(?:\n|$)/i,
-    preferredName: /Preferred Name:\s*(.+?)(?:\n|$)/i,
-    startDate: /Start Date:\s*(.+?)(?:\n|$)/i,
-    title: /Title:\s*(.+?)(?:\n|$)/i,
-    department: /Department:\s*(.+?)(?:\n|$)/i,
-    manager: /Manager:\s*(.+?)(?:\n|$)/i,
-    employmentType: /Employment Type:\s*(.+?)(?:\n|$)/i,
-    workLocation: /Work Location:\s*(.+?)(?:\n|$)/i,
-    email: /Email:\s*(.+?)(?:\n|$)/i,
-  };
+async function withdrawPendingRequest(client, channelId, messageTs, userId) {
+  const messageKey = getMessageKey(channelId, messageTs);
+  const queued = outbox[messageKey]?.requestedBy === userId ? outbox[messageKey] : null;
+  const pending = pendingDuplicateChoices.get(messageKey)?.requestedBy === userId ? pendingDuplicateChoices.get(messageKey) : null;
+  if (!queued && !pending) return;
+
+  // Nothing left to retry or choose, so processOutbox and the buttons leave it alone
+  if (queued) {
+    delete outbox[messageKey];
+    saveOutbox();
+  }
+  if (pending) {
+    pendingDuplicateChoices.delete(messageKey);
+  }
 
-  for (const [key, pattern] of Object.entries(patterns)) {
-    const match = text.match(pattern);
-    if (match) {
-      details[key] = match[1].trim();
+  const withdrawnText = `🚫 The Jira ticket request was withdrawn by <@${userId}>`;
+  for (const replyTs of [queued?.errorReplyTs, pending?.promptTs].filter(Boolean)) {
+    try {
+      await client.chat.update({ channel: channelId, ts: replyTs, text: withdrawnText, blocks: [] });
+    } catch (error) {
+      log.error('Error updating withdrawn request reply', { messageKey, error });
     }
   }
 
-  return details;
-}
+  await recordCreationAttempt(client, {
+    channelId: channelId,
+    messageTs: messageTs,
+    route: routes.find(route => route.name === (queued?.route || pending?.routeName)),
+    parsed: queued?.parsed || pending?.parsed,
+    requestedBy: userId
+  }, 'withdrawn');
 
-/**
- * Map parsed employee details to Jira custom fields
- */
-function mapDetailsToJiraFields(details, fieldMetadata) {
-  const mappedFields = {};
+  log.info('Withdrew ticket request before a ticket was created', { messageKey, userId, queued: Boolean(queued), awaitingDuplicateChoice: Boolean(pending) });
+}
 
-  // Common field name mappings to look for in Jira
-  const fieldMappings = {
-    name: ['Name', 'Employee Name', 'Full Name'],
-    startDate: ['Start Date', 'Start date', 'Employment Start Date'],
-    email: ['Email', 'Email Address'],
-    department: ['Department'],
-    manager: ['Manager', 'Manager Information'],
-    employmentType: ['Employment Type'],
-  };
+// Removing the trigger reaction withdraws the ticket it created, or the request if it's still waiting
+app.event('reaction_removed', async ({ event, client }) => {
+  const { reaction, item, user } = event;
 
-  // Find matching custom fields by name
-  for (const [detailKey, value] of Object.entries(details)) {
-    if (!value) continue;
+  if (!routes.some(route => route.emoji === reaction)) return;
 
-    const possibleNames = fieldMappings[detailKey] || [detailKey];
+  const record = getLinkedTicket(item.channel, item.ts);
 
-    for (const [fieldId, fieldInfo] of Object.entries(fieldMetadata)) {
-      const fieldName = fieldInfo.name;
+  try {
+    if (!record) {
+      await withdrawPendingRequest(client, item.channel, item.ts, user);
+      return;
+    }
 
-      if (possibleNames.some(name => fieldName.toLowerCase().includes(name.toLowerCase()))) {
-        // Handle different field types
-        if (fieldInfo.schema?.type === 'date') {
-          // Try to parse and format date
-          mappedFields[fieldId] = formatDateForJira(value);
-        } else if (fieldInfo.schema?.type === 'user') {
-          // For user fields, we'd need to look up the user - skip for now
-          continue;
-        } else {
-          // Plain text field
-          mappedFields[fieldId] = value;
-        }
-        break;
-      }
+    // Only the person whose reaction created the ticket can take it back
+    if (record.reactedBy !== user) {
+      log.info('Ignoring removed reaction: only the reactor can withdraw the ticket', { reaction, userId: user, ticketKey: record.ticketKey, reactedBy: record.reactedBy });
+      return;
     }
+
+    await undoLinkedTicket(client, record, user);
+  } catch (error) {
+    log.error('Error handling removed reaction', { error });
   }
+});
 
-  return mappedFields;
-}
+// "Cancel" button on the confirmation reply
+app.action('cancel_ticket', async ({ ack, body, client }) => {
+  await ack();
+
+  const record = ticketStore[body.actions[0].value];
 
-/**
- * Format date string to Jira format (YYYY-MM-DD)
- */
-function formatDateForJira(dateString) {
   try {
-    // Handle common formats like "12/1/25", "12/01/2025", etc.
-    const date = new Date(dateString);
-    if (!isNaN(date.getTime())) {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
+    if (!record) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: 'This ticket has already been withdrawn.'
+      });
+      return;
+    }
+
+    if (record.reactedBy !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        thread_ts: record.ts,
+        text: `Only <@${record.reactedBy}>, who created ${record.ticketKey}, can withdraw it from Slack.`
+      });
+      return;
     }
+
+    await undoLinkedTicket(client, record, body.user.id);
   } catch (error) {
-    console.error('Error parsing date:', error);
+    log.error('Error cancelling ticket', { error });
   }
-  return dateString; // Return original if parsing fails
-}
+});
+
+// Who may search the audit trail with /jira-requests and who may also export it. Admins can always
+// search; with neither list set nobody can, since the log holds terminations and their reasons.
+const AUDIT_VIEWERS = (process.env.AUDIT_VIEWERS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+const AUDIT_ADMINS = (process.env.AUDIT_ADMINS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Entries listed in a /jira-requests reply; the rest are counted, and can be exported
+const AUDIT_RESULTS_LIMIT = 20;
+
+const AUDIT_OUTCOME_LABELS = {
+  created: '✅ created',
+  failed: '❌ failed',
+  duplicate_suggested: '🔍 held as a possible duplicate',
+  linked_existing: '🔗 linked to an existing ticket',
+  not_authorized: '🚫 not allowed',
+  withdrawn: '↩️ withdrawn'
+};
+
+const AUDIT_HELP = [
+  '*Search Jira ticket requests made from Slack:*',
+  '• `/jira-requests jane doe` - by employee, reactor or message author name',
+  '• `/jira-requests ORCAS-123` - by ticket key',
+  '• `/jira-requests from:2025-11-01 to:2025-11-30` - by date (either end can be left off)',
+  '• `/jira-requests export ...` - send the matching requests to you as CSV (admins only)',
+  'Filters can be combined, e.g. `/jira-requests jane from:2025-11-01`.'
+].join('\n');
 
 /**
- * Create a Jira ticket using standard API or Service Desk API
+ * One line of a /jira-requests reply
  */
-async function createJiraTicket(messageData) {
-  const authHeader = `Basic ${Buffer.from(
-    `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
-  ).toString('base64')}`;
-
-  // Prepare description text
-  const description = `Onboarding request from Slack:\n\n${messageData.text}\n\nRequested by: ${messageData.userName}\n\nSlack Message Link: ${messageData.messageLink}`;
-
-  // Try Service Desk API first if using "New Hire Onboarding"
-  if (JIRA_ISSUE_TYPE === 'New Hire Onboarding') {
-    console.log('Attempting to use Service Desk API...');
-    const serviceDeskInfo = await getServiceDeskRequestType();
+function formatAuditEntry(entry) {
+  const epoch = Math.floor(Date.parse(entry.time) / 1000);
+  const when = `<!date^${epoch}^{date_short} {time}|${entry.time}>`;
+  const outcome = AUDIT_OUTCOME_LABELS[entry.outcome] || entry.outcome;
+  const ticket = entry.ticketKey ? ` <${process.env.JIRA_BASE_URL}/browse/${entry.ticketKey}|${entry.ticketKey}>` : '';
+  const reactor = entry.reactor ? ` by <@${entry.reactor}>` : '';
+  const source = entry.permalink?.startsWith('http') ? `<${entry.permalink}|message>` : `#${entry.channelName || entry.channel}`;
+  const error = entry.error ? `\n      _${entry.error}_` : '';
+
+  return `• ${when} *${entry.subject || 'Unknown'}* - ${outcome}${ticket}${reactor} (${source})${error}`;
+}
 
-    if (serviceDeskInfo) {
-      // Parse employee details
-      const parsedDetails = parseRipplingMessage(messageData.text);
-      console.log('Parsed employee details:', JSON.stringify(parsedDetails, null, 2));
-
-      // Map parsed details to Service Desk fields
-      const requestFieldValues = {};
-      const fields = serviceDeskInfo.fields || [];
-
-      // Map employee details to fields
-      fields.forEach(field => {
-        const fieldName = field.name.toLowerCase();
-
-        if (fieldName.includes('summary')) {
-          // Build summary with name and start date
-          let summary = 'Onboarding';
-          if (parsedDetails.name) {
-            summary += `: ${parsedDetails.name}`;
-          }
-          if (parsedDetails.startDate) {
-            summary += ` - Start Date: ${parsedDetails.startDate}`;
-          }
-          // If no details available, use default
-          if (!parsedDetails.name && !parsedDetails.startDate) {
-            summary = `Onboarding Request - ${new Date().toLocaleDateString()}`;
-          }
-          requestFieldValues[field.fieldId] = summary;
-        } else if (fieldName.includes('priority')) {
-          // Set default priority to "Low" or the first available option
-          requestFieldValues[field.fieldId] = { name: 'Low' };
-        } else if (fieldName.includes('name') && !fieldName.includes('manager')) {
-          if (parsedDetails.name) {
-            requestFieldValues[field.fieldId] = parsedDetails.name;
-          }
-        } else if (fieldName.includes('start date')) {
-          if (parsedDetails.startDate) {
-            // Format date to yyyy-MM-dd
-            requestFieldValues[field.fieldId] = formatDateForJira(parsedDetails.startDate);
-          }
-        } else if (fieldName.includes('email')) {
-          if (parsedDetails.email) {
-            requestFieldValues[field.fieldId] = parsedDetails.email;
-          }
-        } else if (fieldName.includes('department')) {
-          if (parsedDetails.department) {
-            requestFieldValues[field.fieldId] = parsedDetails.department;
-          }
-        } else if (fieldName.includes('manager')) {
-          if (parsedDetails.manager) {
-            requestFieldValues[field.fieldId] = parsedDetails.manager;
-          }
-        } else if (fieldName.includes('title') || fieldName.includes('position')) {
-          if (parsedDetails.title) {
-            requestFieldValues[field.fieldId] = parsedDetails.title;
-          }
-        } else if (fieldName.includes('employment type')) {
-          if (parsedDetails.employmentType) {
-            requestFieldValues[field.fieldId] = parsedDetails.employmentType;
-          }
-        } else if (fieldName.includes('location')) {
-          if (parsedDetails.workLocation) {
-            requestFieldValues[field.fieldId] = parsedDetails.workLocation;
-          }
-        } else if (fieldName.includes('description') || fieldName.includes('details')) {
-          // Only add description if the field exists
-          requestFieldValues[field.fieldId] = description;
-        }
-      });
+/**
+ * Send audit entries to a user as a CSV file in a direct message (needs files:write and im:write)
+ */
+async function sendAuditExport(client, userId, entries, queryText) {
+  const conversation = await client.conversations.open({ users: userId });
+
+  await client.files.uploadV2({
+    channel_id: conversation.channel.id,
+    filename: `jira-requests-${getTodayIsoDate()}.csv`,
+    content: auditEntriesToCsv(entries),
+    initial_comment: `📄 ${entries.length} Jira ticket request${entries.length === 1 ? '' : 's'}${queryText ? ` matching \`${queryText}\`` : ''}`
+  });
 
-      // Don't add Slack link to summary - keep it single line
-      // The summary field in Service Desk doesn't support newlines
+  // Exports contain employee details, so keep a record of who took one
+  log.info('Exported audit trail', { userId, count: entries.length });
+}
 
-      // Create Service Desk request
-      const requestData = {
-        serviceDeskId: serviceDeskInfo.serviceDeskId,
-        requestTypeId: serviceDeskInfo.requestTypeId,
-        requestFieldValues: requestFieldValues
-      };
+// "/jira-requests" - search the audit trail, replying only to the person who asked
+app.command('/jira-requests', async ({ command, ack, respond, context, client }) => {
+  await ack();
 
-      console.log('Creating Service Desk request:', JSON.stringify(requestData, null, 2));
+  try {
+    const isAdmin = AUDIT_ADMINS.length > 0 && await isUserListed(client, AUDIT_ADMINS, command.user_id);
+    const canView = isAdmin || (AUDIT_VIEWERS.length > 0 && await isUserListed(client, AUDIT_VIEWERS, command.user_id));
 
-      try {
-        const response = await axios.post(
-          `${process.env.JIRA_BASE_URL}/rest/servicedeskapi/request`,
-          requestData,
-          {
-            headers: {
-              'Authorization': authHeader,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-
-        console.log('Successfully created Service Desk request!');
-        return response.data;
-      } catch (sdError) {
-        console.error('Service Desk API failed:');
-        console.error('Status:', sdError.response?.status);
-        console.error('Error:', JSON.stringify(sdError.response?.data, null, 2));
-        console.log('Falling back to regular Jira API with Task type...');
-      }
-    } else {
-      console.log('Could not get Service Desk info, falling back to Task type...');
+    if (!canView) {
+      await respond({ text: 'You don\'t have access to the Jira request history. Ask an admin to add you to AUDIT_VIEWERS.' });
+      return;
     }
-  }
-
-  // Fallback: Use regular Jira API with Task type
-  const jiraUrl = `${process.env.JIRA_BASE_URL}/rest/api/2/issue`;
 
-  // Get field metadata for the issue type
-  const fieldMetadata = await getIssueCreateMetadata();
+    const queryText = (command.text || '').trim();
+    if (!queryText || queryText.toLowerCase() === 'help') {
+      await respond({ text: AUDIT_HELP });
+      return;
+    }
 
-  // Log available fields for debugging
-  console.log('Available Jira fields for', JIRA_ISSUE_TYPE, ':');
-  Object.entries(fieldMetadata).forEach(([fieldId, fieldInfo]) => {
-    console.log(`  ${fieldId}: ${fieldInfo.name} (${fieldInfo.schema?.type || 'unknown type'})`);
-  });
+    const query = parseAuditQuery(queryText);
+    if (query.errors.length > 0) {
+      await respond({ text: `${query.errors.join('\n')} - try a date like 2025-11-01.\n\n${AUDIT_HELP}` });
+      return;
+    }
 
-  // Parse Rippling message if it looks like a Rippling notification
-  let customFields = {};
-  if (messageData.text.includes('New Hire:') || messageData.text.includes('Start Date:')) {
-    console.log('Detected Rippling message, parsing employee details...');
-    const parsedDetails = parseRipplingMessage(messageData.text);
-    console.log('Parsed details:', JSON.stringify(parsedDetails, null, 2));
+    // Each workspace only sees its own requests
+    const entries = loadAuditEntries().filter(entry => !entry.teamId || entry.teamId === context.teamId);
+    const matches = filterAuditEntries(entries, query);
+    const filterText = queryText.replace(/(^|\s)export(?=\s|$)/i, ' ').trim();
 
-    customFields = mapDetailsToJiraFields(parsedDetails, fieldMetadata);
-    console.log('Mapped to Jira fields:', JSON.stringify(customFields, null, 2));
-  }
+    if (query.export) {
+      if (!isAdmin) {
+        await respond({ text: 'Only the admins in AUDIT_ADMINS can export the Jira request history.' });
+        return;
+      }
+      await sendAuditExport(client, command.user_id, matches, filterText);
+      await respond({ text: `📄 Sent ${matches.length} request${matches.length === 1 ? '' : 's'} to you as CSV in a direct message.` });
+      return;
+    }
 
-  // Prepare the issue data
-  const issueData = {
-    fields: {
-      project: {
-        key: JIRA_PROJECT_KEY
-      },
-      summary: customFields.name
-        ? `Onboarding: ${customFields.name}`
-        : `Onboarding Request - ${new Date().toLocaleDateString()}`,
-      description: description,
-      issuetype: {
-        name: JIRA_ISSUE_TYPE
-      },
-      ...customFields
+    if (matches.length === 0) {
+      await respond({ text: `No Jira ticket requests match \`${queryText}\`.` });
+      return;
     }
-  };
 
-  // Add custom fields from environment if configured
-  if (process.env.JIRA_CUSTOM_FIELDS) {
-    try {
-      const envCustomFields = JSON.parse(process.env.JIRA_CUSTOM_FIELDS);
-      Object.assign(issueData.fields, envCustomFields);
-    } catch (error) {
-      console.error('Error parsing JIRA_CUSTOM_FIELDS:', error);
+    const lines = matches.slice(0, AUDIT_RESULTS_LIMIT).map(formatAuditEntry);
+    if (matches.length > AUDIT_RESULTS_LIMIT) {
+      lines.push(`_Showing the newest ${AUDIT_RESULTS_LIMIT} of ${matches.length} - narrow the search${isAdmin ? ' or add `export` to get them all' : ''}._`);
     }
+
+    await respond({ text: `*Jira ticket requests matching \`${queryText}\`:*\n${lines.join('\n')}` });
+  } catch (error) {
+    log.error('Error handling /jira-requests', { error });
+    await respond({ text: `Couldn't search the Jira request history: ${error.data?.error || error.message}` });
   }
+});
 
-  console.log('Creating Jira ticket with fields (Task type):', JSON.stringify(issueData, null, 2));
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const AT_RISK_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_DIGEST_LOOKAHEAD_DAYS = 14;
 
-  try {
-    const response = await axios.post(jiraUrl, issueData, {
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json',
-      },
-    });
+// When each route's digest was last posted, so a restart doesn't post it twice
+const SCHEDULE_STATE_PATH = path.join(path.dirname(TICKET_STORE_PATH), 'schedule.json');
+const scheduleState = loadJsonFile(SCHEDULE_STATE_PATH, 'scheduled digest records');
 
-    console.log('Successfully created ticket as Task type');
-    return response.data;
-  } catch (error) {
-    console.error('Error creating Jira ticket with Task type:');
-    console.error('Status:', error.response?.status);
-    console.error('Error Messages:', JSON.stringify(error.response?.data?.errorMessages, null, 2));
-    console.error('Field Errors:', JSON.stringify(error.response?.data?.errors, null, 2));
-    throw error;
+/**
+ * Count the weekdays after today up to and including a YYYY-MM-DD date (0 if it's today)
+ */
+function countBusinessDaysUntil(isoDate) {
+  const day = new Date(`${getTodayIsoDate()}T00:00:00Z`);
+  const target = new Date(`${isoDate}T00:00:00Z`);
+  let count = 0;
+
+  while (day < target) {
+    day.setUTCDate(day.getUTCDate() + 1);
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) count++;
   }
+  return count;
 }
 
 /**
- * Get channel name from channel ID
+ * Get a ticket's current status from Jira, or null if it can't be fetched
  */
-async function getChannelName(client, channelId) {
+async function fetchTicketStatus(ticketKey) {
   try {
-    const result = await client.conversations.info({
-      channel: channelId
+    const response = await jira.get(jiraApiPath(`issue/${ticketKey}`), {
+      params: { fields: 'status' }
     });
-    return result.channel.name;
+
+    const { status } = response.data.fields;
+    return { name: status.name, category: status.statusCategory?.key };
   } catch (error) {
-    console.error('Error fetching channel info:', error);
+    log.error('Error fetching ticket status', { ticketKey, error });
     return null;
   }
 }
 
 /**
- * Get user name from user ID
+ * Get a route's tickets for hires starting between today and the given number of days from now, soonest first
  */
-async function getUserName(client, userId) {
-  try {
-    const result = await client.users.info({
-      user: userId
-    });
-    return result.user.real_name || result.user.name;
-  } catch (error) {
-    console.error('Error fetching user info:', error);
-    return 'Unknown User';
-  }
+function getUpcomingStarters(route, withinDays) {
+  const today = getTodayIsoDate();
+  const until = new Date(`${today}T00:00:00Z`);
+  until.setUTCDate(until.getUTCDate() + withinDays);
+  const untilIso = until.toISOString().slice(0, 10);
+
+  return Object.values(ticketStore)
+    .filter(record => record.route === route.name && /^\d{4}-\d{2}-\d{2}$/.test(record.startDate || ''))
+    .filter(record => record.startDate >= today && record.startDate <= untilIso)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
 }
 
 /**
- * Get the permalink for a message
+ * Post the weekly list of upcoming starters and their ticket statuses
  */
-async function getMessageLink(client, channelId, messageTs) {
-  try {
-    const result = await client.chat.getPermalink({
-      channel: channelId,
-      message_ts: messageTs
-    });
-    return result.permalink;
-  } catch (error) {
-    console.error('Error getting message permalink:', error);
-    return 'Link unavailable';
+async function postStartDateDigest(client, route) {
+  const lookaheadDays = route.digest.lookaheadDays || DEFAULT_DIGEST_LOOKAHEAD_DAYS;
+  const starters = getUpcomingStarters(route, lookaheadDays);
+  const lines = [`📅 *Starting in the next ${lookaheadDays} days*`];
+
+  if (starters.length === 0) {
+    lines.push('No new starters with tickets.');
   }
+
+  for (const record of starters) {
+    const status = await fetchTicketStatus(record.ticketKey);
+    const ticketLink = `<${process.env.JIRA_BASE_URL}/browse/${record.ticketKey}|${record.ticketKey}>`;
+    const statusText = status ? `${status.category === 'done' ? '✅' : '⏳'} ${status.name}` : '❔ status unknown';
+    lines.push(`• *${record.subject || 'Unknown'}* - ${formatDateForDisplay(record.startDate)} - ${ticketLink} ${statusText}`);
+  }
+
+  await client.chat.postMessage({
+    channel: route.digest.channel || route.channel,
+    text: lines.join('\n')
+  });
+  log.info('Posted start-date digest', { route: route.name, starters: starters.length });
 }
 
 /**
- * Extract full text content from a Slack message, including blocks and attachments
+ * Direct-message people about hires starting within the route's threshold whose tickets are still open.
+ * Each ticket is only alerted about once.
  */
-function extractMessageText(message) {
-  let fullText = '';
-
-  // Get main text field
-  if (message.text) {
-    fullText += message.text;
-  }
-
-  // Extract text from blocks (used by apps like Rippling)
-  if (message.blocks && message.blocks.length > 0) {
-    const blockTexts = message.blocks.map(block => {
-      if (block.type === 'section' && block.text) {
-        return block.text.text;
-      } else if (block.type === 'rich_text' && block.elements) {
-        // Handle rich text blocks
-        return block.elements.map(element => {
-          if (element.elements) {
-            return element.elements.map(e => e.text || '').join('');
-          }
-          return '';
-        }).join('\n');
+async function sendAtRiskAlerts(client, route) {
+  const { businessDays, notify } = route.atRiskAlert;
+  // Look far enough ahead to cover the business days plus the weekends in between
+  const candidates = getUpcomingStarters(route, businessDays + 2 * Math.ceil(businessDays / 5) + 2)
+    .filter(record => !record.atRiskAlertedAt && countBusinessDaysUntil(record.startDate) <= businessDays);
+
+  for (const record of candidates) {
+    const status = await fetchTicketStatus(record.ticketKey);
+    if (!status || status.category === 'done') continue;
+
+    // Notify the configured people and user groups, or whoever created the ticket
+    const recipients = new Set();
+    for (const entry of notify && notify.length > 0 ? notify : [record.reactedBy]) {
+      if (entry.startsWith('@') || entry.startsWith('S')) {
+        try {
+          (await getUserGroupMembers(client, entry)).forEach(member => recipients.add(member));
+        } catch (error) {
+          log.error('Error looking up Slack user group', { group: entry, error });
+        }
+      } else {
+        recipients.add(entry);
       }
-      return '';
-    }).filter(text => text.length > 0);
-
-    if (blockTexts.length > 0) {
-      if (fullText) fullText += '\n\n';
-      fullText += blockTexts.join('\n\n');
     }
-  }
 
-  // Extract text from attachments
-  if (message.attachments && message.attachments.length > 0) {
-    const attachmentTexts = message.attachments.map(att => {
-      let attText = '';
-      if (att.pretext) attText += att.pretext + '\n';
-      if (att.text) attText += att.text + '\n';
-      if (att.fields) {
-        att.fields.forEach(field => {
-          if (field.title) attText += `*${field.title}*\n`;
-          if (field.value) attText += `${field.value}\n`;
-        });
-      }
-      return attText.trim();
-    }).filter(text => text.length > 0);
+    const messageLink = await getMessageLink(client, record.channel, record.ts);
+    const text = `⚠️ *${record.subject || 'A new hire'}* starts ${formatDateForDisplay(record.startDate)}, but <${process.env.JIRA_BASE_URL}/browse/${record.ticketKey}|${record.ticketKey}> is still *${status.name}*.${messageLink.startsWith('http') ? ` (<${messageLink}|Slack thread>)` : ''}`;
 
-    if (attachmentTexts.length > 0) {
-      if (fullText) fullText += '\n\n';
-      fullText += attachmentTexts.join('\n\n');
+    for (const userId of recipients) {
+      try {
+        await client.chat.postMessage({ channel: userId, text: text });
+      } catch (error) {
+        log.error('Error sending at-risk alert', { ticketKey: record.ticketKey, userId, error });
+      }
     }
+
+    updateLinkedTicket(record.channel, record.ts, { atRiskAlertedAt: new Date().toISOString() });
+    log.info('Sent at-risk alert', { ticketKey: record.ticketKey, recipients: recipients.size });
   }
+}
+
+/**
+ * Whether a route's weekly digest should be posted now
+ */
+function isDigestDue(route, now) {
+  const schedule = parseDigestSchedule(route.digest.schedule);
+  const clock = getBusinessClock(now);
 
-  return fullText || 'No message content available';
+  return clock.day === schedule.day
+    && clock.minutes >= schedule.hours * 60 + schedule.minutes
+    && scheduleState[route.name] !== clock.isoDate;
 }
 
-// Listen for reaction_added events
-app.event('reaction_added', async ({ event, client, logger }) => {
+let schedulerRunning = false;
+let lastAtRiskCheck = 0;
+
+/**
+ * Post any digests that are due, and check for at-risk starters once an hour
+ */
+async function runScheduledJobs() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
   try {
-    const { reaction, item, user } = event;
+    const now = new Date();
+    const checkAtRisk = now.getTime() - lastAtRiskCheck >= AT_RISK_CHECK_INTERVAL_MS;
+    if (checkAtRisk) lastAtRiskCheck = now.getTime();
 
-    // Create a unique identifier for this reaction
-    const reactionId = `${item.channel}-${item.ts}-${user}-${reaction}`;
+    for (const route of routes) {
+      try {
+        const due = route.digest && isDigestDue(route, now);
+        if (!due && !(route.atRiskAlert && checkAtRisk)) continue;
 
-    // Check if we've already processed this reaction
-    if (processedReactions.has(reactionId)) {
-      logger.info('Reaction already processed, skipping');
-      return;
-    }
+        // A rule for a single workspace posts there; otherwise the app must be installed in just one
+        const client = await getSlackClient({ teamId: route.teams.length === 1 ? route.teams[0] : undefined });
 
-    // Check if the reaction is the trigger emoji
-    if (reaction !== TRIGGER_EMOJI) {
-      logger.info(`Reaction ${reaction} doesn't match trigger emoji ${TRIGGER_EMOJI}`);
-      return;
+        if (due) {
+          await postStartDateDigest(client, route);
+          scheduleState[route.name] = getTodayIsoDate();
+          saveJsonFile(SCHEDULE_STATE_PATH, scheduleState);
+        }
+        if (route.atRiskAlert && checkAtRisk) {
+          await sendAtRiskAlerts(client, route);
+        }
+      } catch (error) {
+        log.error('Error running scheduled jobs', { route: route.name, error });
+      }
     }
+  } finally {
+    schedulerRunning = false;
+  }
+}
 
-    // Get channel name to verify it's the onboarding channel
-    const channelName = await getChannelName(client, item.channel);
+// Mapping context keys that are always available, whatever the message says
+const ALWAYS_AVAILABLE_CONTEXT_KEYS = ['text', 'userName', 'messageLink', 'today'];
+
+// Fields Jira fills in itself on the regular issue API
+const AUTO_FILLED_ISSUE_FIELDS = ['project', 'issuetype', 'reporter'];
 
-    if (channelName !== ONBOARDING_CHANNEL) {
-      logger.info(`Reaction in channel ${channelName}, not ${ONBOARDING_CHANNEL}`);
+/**
+ * Check that a route's mapping covers every required field.
+ * Adds an error for unmapped fields and a warning for fields that depend on the message.
+ */
+function checkRequiredFields(route, fields, targetName, report) {
+  fields.filter(field => field.required).forEach(field => {
+    const mappings = route.fields.filter(mapping => findMappedField(mapping.field, [field]));
+    const label = `"${field.name}" (${field.id})`;
+
+    if (mappings.length === 0) {
+      report.push({ level: 'error', text: `${targetName}: required field ${label} has no mapping in route "${route.name}"` });
       return;
     }
 
-    logger.info(`Processing reaction in ${ONBOARDING_CHANNEL} channel`);
+    const alwaysFilled = mappings.some(mapping => {
+      if (mapping.default !== undefined) return true;
+      const templates = [].concat(mapping.template || []);
+      return templates.some(template =>
+        [...template.matchAll(/\{(\w+)\}/g)].every(match => ALWAYS_AVAILABLE_CONTEXT_KEYS.includes(match[1]))
+      );
+    });
 
-    // Mark this reaction as processed
-    processedReactions.add(reactionId);
+    if (!alwaysFilled) {
+      report.push({ level: 'warn', text: `${targetName}: required field ${label} is only filled when the message includes it - add a "default"` });
+    }
+  });
+}
 
-    // Get the message that was reacted to
-    const result = await client.conversations.history({
-      channel: item.channel,
-      latest: item.ts,
-      limit: 1,
-      inclusive: true
-    });
+/**
+ * Check Jira credentials and every route's project, request type, issue type and
+ * required fields. Prints a report and returns false if anything would stop tickets being created.
+ */
+async function runStartupSelfCheck() {
+  const report = [];
 
-    if (!result.messages || result.messages.length === 0) {
-      logger.error('Could not retrieve the message');
-      return;
+  log.info('Running startup self-check against Jira', { authType: JIRA_AUTH_TYPE, apiVersion: JIRA_API_VERSION });
+
+  const configProblem = getJiraConfigProblem();
+  if (configProblem) {
+    report.push({ level: 'error', text: configProblem });
+  } else {
+    try {
+      const response = await jira.get(jiraApiPath('myself'));
+      report.push({ level: 'ok', text: `Jira credentials work (signed in as ${response.data.displayName}, ${JIRA_AUTH_TYPE} auth, REST v${JIRA_API_VERSION})` });
+    } catch (error) {
+      report.push({
+        level: 'error',
+        text: `Jira credentials rejected by ${process.env.JIRA_BASE_URL} (status ${error.response?.status || error.message}) - check ${describeJiraCredentials()}`
+      });
     }
+  }
 
-    const message = result.messages[0];
-    const userName = await getUserName(client, message.user);
-    const messageLink = await getMessageLink(client, item.channel, item.ts);
+  // Without working credentials every other check fails the same way
+  if (report[0].level === 'ok') {
+    for (const route of routes) {
+      try {
+        await jira.get(jiraApiPath(`project/${route.projectKey}`));
+        report.push({ level: 'ok', text: `Route "${route.name}": project ${route.projectKey} exists` });
+      } catch (error) {
+        report.push({ level: 'error', text: `Route "${route.name}": project ${route.projectKey} not found or not visible (status ${error.response?.status || error.message})` });
+        continue;
+      }
 
-    // Extract full message text including blocks and attachments
-    const fullMessageText = extractMessageText(message);
+      if (route.requestType) {
+        const serviceDeskInfo = await getServiceDeskRequestType(route);
+        if (serviceDeskInfo) {
+          report.push({ level: 'ok', text: `Route "${route.name}": request type "${serviceDeskInfo.requestTypeName}" found` });
+          const requestTypeFields = serviceDeskInfo.fields.map(field => ({ id: field.fieldId, name: field.name, required: field.required }));
+          checkRequiredFields(route, requestTypeFields, `Request type "${serviceDeskInfo.requestTypeName}"`, report);
+        } else {
+          report.push({ level: 'error', text: `Route "${route.name}": request type "${route.requestType}" not found in ${route.projectKey}'s service desk` });
+        }
+      }
 
-    // Prepare message data for Jira
-    const messageData = {
-      text: fullMessageText,
-      userName: userName,
-      userEmail: message.user, // You might want to get actual email
-      messageLink: messageLink,
-      timestamp: new Date(parseFloat(item.ts) * 1000).toISOString()
-    };
+      const fieldMetadata = await getIssueCreateMetadata(route);
+      if (Object.keys(fieldMetadata).length > 0) {
+        report.push({ level: 'ok', text: `Route "${route.name}": issue type "${route.issueType}" found` });
+        const issueTypeFields = Object.entries(fieldMetadata)
+          .filter(([fieldId]) => !AUTO_FILLED_ISSUE_FIELDS.includes(fieldId))
+          .map(([fieldId, fieldInfo]) => ({ id: fieldId, name: fieldInfo.name, required: fieldInfo.required }));
+        checkRequiredFields(route, issueTypeFields, `Issue type "${route.issueType}"`, report);
+      } else {
+        // Service Desk routes only use the issue type as a fallback
+        report.push({
+          level: route.requestType ? 'warn' : 'error',
+          text: `Route "${route.name}": issue type "${route.issueType}" not found in ${route.projectKey}${route.requestType ? ' - the fallback if the Service Desk request fails won\'t work' : ''}`
+        });
+      }
+    }
+  }
 
-    logger.info('Creating Jira ticket...');
+  report.forEach(entry => {
+    log[entry.level === 'ok' ? 'info' : entry.level](`Self-check: ${entry.text}`, { check: 'startup', result: entry.level });
+  });
 
-    // Create Jira ticket
-    const jiraTicket = await createJiraTicket(messageData);
+  return !report.some(entry => entry.level === 'error');
+}
 
-    const ticketKey = jiraTicket.issueKey || jiraTicket.key;
-    logger.info(`Jira ticket created: ${ticketKey}`);
+/**
+ * POST /admin/refresh-jira-metadata - clear cached Jira metadata and re-run the self-check,
+ * e.g. after changing a request type. Needs "Authorization: Bearer <ADMIN_API_TOKEN>".
+ */
+async function handleMetadataRefresh(req, res) {
+  const expected = Buffer.from(`Bearer ${process.env.ADMIN_API_TOKEN}`);
+  const received = Buffer.from(req.headers.authorization || '');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    log.warn('Rejected Jira metadata refresh with missing or invalid token');
+    res.writeHead(401);
+    res.end();
+    return;
+  }
 
-    // Post a confirmation message in the thread
-    await client.chat.postMessage({
-      channel: item.channel,
-      thread_ts: item.ts,
-      text: `✅ Jira ticket created: ${process.env.JIRA_BASE_URL}/browse/${ticketKey}`
-    });
+  clearJiraMetadataCache('refresh requested over HTTP');
 
+  let selfCheckPassed = false;
+  try {
+    selfCheckPassed = await runStartupSelfCheck();
   } catch (error) {
-    logger.error('Error handling reaction:', error);
-
-    // Optionally notify in Slack about the error
-    try {
-      await client.chat.postMessage({
-        channel: event.item.channel,
-        thread_ts: event.item.ts,
-        text: `❌ Error creating Jira ticket: ${error.message}`
-      });
-    } catch (notifyError) {
-      logger.error('Error sending error notification:', notifyError);
-    }
+    log.error('Error running self-check', { error });
   }
-});
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ refreshed: true, selfCheckPassed }));
+}
 
 // Start the app
 (async () => {
   try {
-    await app.start();
-    console.log('⚡️ Slack-Jira automation is running!');
-    console.log(`Watching for "${TRIGGER_EMOJI}" reactions in #${ONBOARDING_CHANNEL}`);
+    if (process.env.SKIP_STARTUP_CHECK !== 'true') {
+      const passed = await runStartupSelfCheck();
+      if (!passed) {
+        log.error('Startup self-check failed - fix the problems above (or set SKIP_STARTUP_CHECK=true to start anyway)');
+        process.exit(1);
+      }
+    }
+
+    // The port only matters in HTTP mode - Socket Mode takes it from installerOptions
+    await app.start(PORT);
+    if (SLACK_MODE === 'http') {
+      markSlackReceiverListening();
+    }
+
+    // Retry queued ticket creations, including any left over from before a restart
+    processOutbox();
+    setInterval(processOutbox, OUTBOX_POLL_INTERVAL_MS);
+
+    // Start-date digests and at-risk alerts
+    if (routes.some(route => route.digest || route.atRiskAlert)) {
+      runScheduledJobs();
+      setInterval(runScheduledJobs, SCHEDULER_INTERVAL_MS);
+    }
+    log.info('⚡️ Slack-Jira automation is running!', { mode: SLACK_MODE });
+    if (SLACK_MODE === 'http') {
+      log.info('Listening for Slack events at /slack/events', { port: PORT });
+    }
+    if (SLACK_OAUTH_ENABLED) {
+      log.info('Install the app in a workspace at /slack/install', { port: PORT, installations: Object.keys(installations).length });
+    }
+    log.info('Serving /healthz and /metrics', { port: PORT });
+    if (process.env.JIRA_WEBHOOK_SECRET) {
+      log.info('Listening for Jira webhooks at /jira/webhook', { port: PORT });
+    }
+    routes.forEach(route => {
+      const target = route.requestType
+        ? `${route.projectKey} "${route.requestType}" requests`
+        : `${route.projectKey} ${route.issueType} issues`;
+      log.info(`Watching for "${route.emoji}" reactions in #${route.channel} → ${target}`, { route: route.name });
+    });
   } catch (error) {
-    console.error('Error starting app:', error);
+    log.error('Error starting app', { error });
     process.exit(1);
   }
 })();
@@ -0,0 +1,154 @@
+// Audit trail of ticket creation attempts: who asked for which ticket, when, and how it went
+const fs = require('fs');
+const path = require('path');
+const { parseDate, getBusinessClock } = require('./dates');
+const { log } = require('./logger');
+
+// One JSON object per line, appended - past entries are never rewritten
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, 'data', 'audit.jsonl');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'time', 'outcome', 'subject', 'ticketKey', 'route', 'parser', 'messageType',
+  'reactor', 'reactorName', 'author', 'authorName', 'channel', 'channelName', 'ts', 'permalink', 'error'
+];
+
+// Upper case only, so a name like "abc-12" in a search isn't taken for a ticket key
+const TICKET_KEY_PATTERN = /^[A-Z][A-Z0-9]+-\d+$/;
+
+/**
+ * Append an entry to the audit log, stamped with the current time
+ */
+function recordAuditEntry(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, `${line}\n`);
+  } catch (error) {
+    log.error('Error writing audit log', { path: AUDIT_LOG_PATH, error });
+  }
+}
+
+/**
+ * Read every audit entry, oldest first. Lines that aren't valid JSON (e.g. cut off by a crash) are skipped.
+ */
+function loadAuditEntries() {
+  let contents;
+  try {
+    contents = fs.readFileSync(AUDIT_LOG_PATH, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Error reading audit log', { path: AUDIT_LOG_PATH, error });
+    }
+    return [];
+  }
+
+  const entries = [];
+  let skipped = 0;
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    log.warn('Skipped unreadable audit log lines', { path: AUDIT_LOG_PATH, skipped });
+  }
+  return entries;
+}
+
+/**
+ * Parse /jira-requests text: a ticket key, "from:" / "to:" dates, "export", and
+ * any other words as a name, e.g. "jane doe from:2025-11-01 to:2025-11-30".
+ * Returns the query, with `errors` for dates that couldn't be read.
+ */
+function parseAuditQuery(text) {
+  const query = { ticketKey: null, from: null, to: null, name: null, export: false, errors: [] };
+  const nameWords = [];
+
+  for (const word of String(text || '').trim().split(/\s+/).filter(Boolean)) {
+    const dateMatch = /^(from|since|to|until):(.+)$/i.exec(word);
+
+    if (word.toLowerCase() === 'export') {
+      query.export = true;
+    } else if (dateMatch) {
+      const isoDate = parseDate(dateMatch[2]);
+      if (!isoDate) {
+        query.errors.push(`Couldn't read the date "${dateMatch[2]}"`);
+      } else if (['from', 'since'].includes(dateMatch[1].toLowerCase())) {
+        query.from = isoDate;
+      } else {
+        query.to = isoDate;
+      }
+    } else if (TICKET_KEY_PATTERN.test(word)) {
+      query.ticketKey = word;
+    } else {
+      nameWords.push(word);
+    }
+  }
+
+  if (nameWords.length > 0) {
+    query.name = nameWords.join(' ');
+  }
+  return query;
+}
+
+/**
+ * Entries matching a query, newest first. Names match the employee, the reactor
+ * or the message author (case-insensitive, part of the name is enough); date ranges
+ * are inclusive and in the business time zone.
+ */
+function filterAuditEntries(entries, query) {
+  const lowerName = query.name?.toLowerCase();
+
+  return entries.filter(entry => {
+    if (query.ticketKey && entry.ticketKey?.toUpperCase() !== query.ticketKey) return false;
+
+    if (lowerName) {
+      const names = [entry.subject, entry.reactorName, entry.authorName].filter(Boolean);
+      if (!names.some(name => name.toLowerCase().includes(lowerName))) return false;
+    }
+
+    if (query.from || query.to) {
+      const day = getBusinessClock(new Date(entry.time)).isoDate;
+      if (query.from && day < query.from) return false;
+      if (query.to && day > query.to) return false;
+    }
+
+    return true;
+  }).reverse();
+}
+
+/**
+ * Quote a CSV value. Values that start like a formula are prefixed with ' so
+ * spreadsheets show them as text instead of running them.
+ */
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render audit entries as CSV with a header row
+ */
+function auditEntriesToCsv(entries) {
+  const rows = [CSV_COLUMNS, ...entries.map(entry => CSV_COLUMNS.map(column => entry[column]))];
+  return `${rows.map(row => row.map(toCsvValue).join(',')).join('\n')}\n`;
+}
+
+module.exports = {
+  AUDIT_LOG_PATH,
+  recordAuditEntry,
+  loadAuditEntries,
+  parseAuditQuery,
+  filterAuditEntries,
+  auditEntriesToCsv
+};
@@ -0,0 +1,268 @@
+// Reading the start and last-day dates HR tools post, in the business's locale and time zone
+const { DETAIL_DISPLAY_NAMES } = require('./messageParser');
+const { log } = require('./logger');
+
+// Decides whether "1/12/25" is January 12 (en-US) or December 1 (en-GB, de-DE, ...)
+const DATE_LOCALE = process.env.DATE_LOCALE || 'en-US';
+
+// "Today" is the business's today, not the server's (Railway runs in UTC)
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+try {
+  new Intl.DateTimeFormat(DATE_LOCALE, { timeZone: BUSINESS_TIMEZONE });
+} catch (error) {
+  log.error(`Invalid DATE_LOCALE "${DATE_LOCALE}" or BUSINESS_TIMEZONE "${BUSINESS_TIMEZONE}"`, { error: error.message });
+  process.exit(1);
+}
+
+// Parsed details that hold dates
+const DATE_DETAILS = ['startDate', 'lastDay'];
+
+// Dates further out than this are probably a typo in the year
+const MAX_DAYS_AHEAD = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Set by replay fixtures so "today" (year inference, {today}) doesn't change with the day they run
+let fixedNow = null;
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/**
+ * Whether the configured locale writes the day before the month in numeric dates
+ */
+function isDayFirstLocale() {
+  const parts = new Intl.DateTimeFormat(DATE_LOCALE).formatToParts(new Date(Date.UTC(2000, 10, 22)));
+  const order = parts.map(part => part.type);
+  return order.indexOf('day') < order.indexOf('month');
+}
+
+const DAY_FIRST = isDayFirstLocale();
+
+/**
+ * Pin "now" to a moment, or pass null to follow the real clock again
+ */
+function setFixedNow(date) {
+  fixedNow = date ? new Date(date) : null;
+}
+
+/**
+ * The current moment, or the pinned one
+ */
+function getNow() {
+  return fixedNow ? new Date(fixedNow) : new Date();
+}
+
+/**
+ * A moment's calendar date and clock in the business time zone
+ */
+function getBusinessClock(date = getNow()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: BUSINESS_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Today's date as YYYY-MM-DD in the business time zone
+ */
+function getTodayIsoDate() {
+  return getBusinessClock().isoDate;
+}
+
+/**
+ * A moment's date for people to read in the business locale, e.g. for {today} in templates
+ */
+function formatLocalDate(date = getNow()) {
+  return date.toLocaleDateString(DATE_LOCALE, { timeZone: BUSINESS_TIMEZONE });
+}
+
+/**
+ * Number of days from one YYYY-MM-DD date to another (negative if it's before)
+ */
+function daysBetween(fromIsoDate, toIsoDate) {
+  return Math.round((Date.parse(`${toIsoDate}T00:00:00Z`) - Date.parse(`${fromIsoDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Build a YYYY-MM-DD date, or null if there's no such day (e.g. February 30)
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Month number (1-12) for a full or abbreviated month name like "December", "Dec" or "Sept"
+ */
+function getMonthNumber(name) {
+  const lower = name.toLowerCase().replace(/\.$/, '');
+  if (lower.length < 3) return null;
+
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(lower));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Date for a month and day without a year: whichever year puts it closest to today
+ */
+function inferYear(month, day) {
+  const today = getTodayIsoDate();
+  const year = Number(today.slice(0, 4));
+
+  return [year - 1, year, year + 1]
+    .map(candidate => toIsoDate(candidate, month, day))
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(daysBetween(today, a)) - Math.abs(daysBetween(today, b)))[0] || null;
+}
+
+/**
+ * Parse a date as HR tools write it into YYYY-MM-DD, or null if it can't be read.
+ * Understands "2025-12-01", "12/1/25" (month or day first per DATE_LOCALE),
+ * "Monday, December 1, 2025", "Dec 1st" and "1 Dec 2025".
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const text = String(value).trim()
+    // A leading weekday adds nothing: "Monday, December 1, 2025"
+    .replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+
+  // ISO date, optionally with a time; a time with a zone is converted to the business's date
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{2}:\d{2}.*))?$/.exec(text);
+  if (match) {
+    if (match[4] && /(z|[+-]\d{2}:?\d{2})$/i.test(match[4]) && !isNaN(Date.parse(text))) {
+      return getBusinessClock(new Date(text)).isoDate;
+    }
+    return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  // Numeric date: 12/1/25, 01.12.2025, 12-01-2025
+  match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    // A part over 12 can only be the day, whatever the locale says
+    const dayFirst = first > 12 || (DAY_FIRST && second <= 12);
+    return dayFirst ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+  }
+
+  // Month name first: "December 1, 2025", "Dec. 1st", "December 1"
+  match = /^([a-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?(?:\s+(\d{4}))?$/i.exec(text);
+  if (match) {
+    const month = getMonthNumber(match[1]);
+    if (!month) return null;
+    return match[3] ? toIsoDate(Number(match[3]), month, Number(match[2])) : inferYear(month, Number(match[2]));
+  }
+
+  // Day first: "1 Dec 2025", "1st of December", "01-Dec-2025"
+  match = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+(?:of\s+)?([a-z]+\.?),?(?:[\s-]+(\d{4}))?$/i.exec(text);
+  if (match) {
+    const month = getMonthNumber(match[2]);
+    if (!month) return null;
+    return match[3] ? toIsoDate(Number(match[3]), month, Number(match[1])) : inferYear(month, Number(match[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Format a date string to Jira's format (YYYY-MM-DD), or null if it can't be read
+ */
+function formatDateForJira(dateString) {
+  return parseDate(dateString);
+}
+
+/**
+ * Format a date string for people to read, e.g. "Friday, December 5, 2025 (in 3 days)"
+ */
+function formatDateForDisplay(dateString) {
+  const isoDate = parseDate(dateString);
+  if (!isoDate) {
+    return dateString;
+  }
+
+  const readable = new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(DATE_LOCALE, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  const daysAway = daysBetween(getTodayIsoDate(), isoDate);
+
+  let relative;
+  if (daysAway === 0) relative = 'today';
+  else if (daysAway === 1) relative = 'tomorrow';
+  else if (daysAway === -1) relative = 'yesterday';
+  else if (daysAway > 1) relative = `in ${daysAway} days`;
+  else relative = `${-daysAway} days ago`;
+
+  return `${readable} (${relative})`;
+}
+
+/**
+ * Check the parsed dates in a notice: unreadable, in the past, or more than a year out.
+ * Returns a warning for each problem, for the Slack reply.
+ */
+function getDateWarnings(details, keys = DATE_DETAILS) {
+  const today = getTodayIsoDate();
+  const warnings = [];
+
+  for (const key of keys) {
+    const value = details[key];
+    if (!value || !DATE_DETAILS.includes(key)) continue;
+
+    const label = DETAIL_DISPLAY_NAMES[key] || key;
+    const isoDate = parseDate(value);
+
+    if (!isoDate) {
+      warnings.push(`Couldn't read the ${label} "${value}" - it was left off the ticket, please set it in Jira`);
+      continue;
+    }
+
+    const daysAway = daysBetween(today, isoDate);
+    if (daysAway < 0) {
+      warnings.push(`The ${label} "${value}" (${isoDate}) is in the past - check it's right`);
+    } else if (daysAway > MAX_DAYS_AHEAD) {
+      warnings.push(`The ${label} "${value}" (${isoDate}) is more than a year away - check the year`);
+    }
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  DATE_LOCALE,
+  BUSINESS_TIMEZONE,
+  DATE_DETAILS,
+  setFixedNow,
+  getBusinessClock,
+  getTodayIsoDate,
+  formatLocalDate,
+  daysBetween,
+  parseDate,
+  formatDateForJira,
+  formatDateForDisplay,
+  getDateWarnings
+};
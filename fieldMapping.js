@@ -0,0 +1,257 @@
+// Mapping parsed details onto Jira fields, as configured by each route's "fields"
+const { formatDateForJira } = require('./dates');
+const { log } = require('./logger');
+const { JIRA_API_VERSION, jiraUserReference, toJiraRichText } = require('./jiraClient');
+
+const TEXTAREA_FIELD_TYPE = 'com.atlassian.jira.plugin.system.customfieldtypes:textarea';
+
+/**
+ * Render a mapping template like "Onboarding: {name}" from the context values.
+ * Returns null if any placeholder has no value.
+ */
+function renderTemplate(template, context) {
+  let complete = true;
+  const rendered = template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (context[key] === undefined || context[key] === null || context[key] === '') {
+      complete = false;
+      return '';
+    }
+    return context[key];
+  });
+  return complete ? rendered : null;
+}
+
+/**
+ * Find the Jira field a mapping targets, by field ID or by field name (case-insensitive)
+ */
+function findMappedField(target, availableFields) {
+  const candidates = Array.isArray(target) ? target : [target];
+
+  for (const candidate of candidates) {
+    const lowerCandidate = candidate.toLowerCase();
+    const field = availableFields.find(f => f.id === candidate)
+      || availableFields.find(f => f.name?.toLowerCase() === lowerCandidate);
+    if (field) return field;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a field holds formatted text (description, environment, multi-line custom fields)
+ */
+function isRichTextField(field) {
+  const schema = field.schema || {};
+  return ['description', 'environment'].includes(field.id)
+    || ['description', 'environment'].includes(schema.system)
+    || schema.custom === TEXTAREA_FIELD_TYPE;
+}
+
+/**
+ * Convert a mapped value to the shape Jira expects for the mapping's type
+ */
+function transformFieldValue(value, type, field, resolvedUsers = {}) {
+  switch (type) {
+    case 'date':
+      // Unreadable dates are left off rather than rejected by Jira (see getDateWarnings)
+      return formatDateForJira(value) || undefined;
+    case 'option':
+      // Priority takes { name }, select-list custom fields take { value }
+      return field.id === 'priority' || field.schema?.type === 'priority'
+        ? { name: value }
+        : { value: value };
+    case 'labels':
+      // Jira labels can't contain spaces
+      return (Array.isArray(value) ? value : String(value).split(','))
+        .map(label => label.trim().replace(/\s+/g, '-'))
+        .filter(label => label.length > 0);
+    case 'user': {
+      // Users are looked up in Jira beforehand (see resolveUserFieldValues)
+      const accountId = resolvedUsers[value];
+      if (!accountId) return undefined;
+      return field.schema?.type === 'array' ? [jiraUserReference(accountId)] : jiraUserReference(accountId);
+    }
+    default:
+      // Formatted text goes to REST v3 as Atlassian Document Format
+      return typeof value === 'string' && isRichTextField(field) ? toJiraRichText(value) : value;
+  }
+}
+
+/**
+ * Get a mapping's value from its source or templates, falling back to its default
+ */
+function getMappingValue(mapping, context) {
+  let value;
+  if (mapping.template) {
+    const templates = Array.isArray(mapping.template) ? mapping.template : [mapping.template];
+    value = templates.map(template => renderTemplate(template, context)).find(rendered => rendered !== null);
+  } else if (mapping.source) {
+    value = context[mapping.source];
+  }
+
+  if (value === undefined || value === null || value === '') {
+    value = mapping.default;
+  }
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Get a mapping's type, treating mappings onto Jira user fields as "user" even without a type
+ */
+function getMappingType(mapping, field) {
+  if (mapping.type) return mapping.type;
+
+  const schema = field.schema || {};
+  if (schema.type === 'user' || (schema.type === 'array' && schema.items === 'user')) {
+    return 'user';
+  }
+  return undefined;
+}
+
+/**
+ * Build Jira field values from a route's field mappings.
+ *
+ * Each mapping has a target `field` (ID, name or list of names), a value from
+ * `source` (a parsed detail key) or `template` (one or more templates, the first
+ * fully-filled one wins), an optional `type` (date, user, option, labels) and an
+ * optional `default` used when no value is available.
+ */
+function buildFieldValues(mappings, context, availableFields, alwaysAllowed = [], resolvedUsers = {}) {
+  const fieldValues = {};
+
+  for (const mapping of mappings) {
+    let field = findMappedField(mapping.field, availableFields);
+
+    if (!field) {
+      // Standard fields like summary/description can be set without metadata
+      const standardId = [].concat(mapping.field).find(id => alwaysAllowed.includes(id));
+      if (!standardId) continue;
+      field = { id: standardId, name: standardId };
+    }
+
+    // Each Jira field is filled by the first mapping that targets it
+    if (field.id in fieldValues) continue;
+
+    const value = getMappingValue(mapping, context);
+    if (value === null) continue;
+
+    const transformed = transformFieldValue(value, getMappingType(mapping, field), field, resolvedUsers);
+    if (transformed !== undefined) {
+      fieldValues[field.id] = transformed;
+    }
+  }
+
+  return fieldValues;
+}
+
+/**
+ * Get the untransformed value each Jira field would be filled with, keyed by field ID.
+ * Used to tell which fields an edited message changes.
+ */
+function collectMappedValues(mappings, context, availableFields) {
+  const collected = {};
+
+  for (const mapping of mappings) {
+    const field = findMappedField(mapping.field, availableFields);
+    if (!field || field.id in collected) continue;
+
+    const value = getMappingValue(mapping, context);
+    if (value !== null) {
+      collected[field.id] = { field, value };
+    }
+  }
+
+  return collected;
+}
+
+/**
+ * Describe a Service Desk request type's fields the way buildFieldValues expects
+ */
+function getRequestTypeFields(serviceDeskInfo) {
+  return (serviceDeskInfo.fields || []).map(field => ({
+    id: field.fieldId,
+    name: field.name,
+    schema: field.jiraSchema
+  }));
+}
+
+/**
+ * Describe an issue type's create metadata the way buildFieldValues expects
+ */
+function getIssueTypeFields(fieldMetadata) {
+  return Object.entries(fieldMetadata).map(([fieldId, fieldInfo]) => ({
+    id: fieldId,
+    name: fieldInfo.name,
+    schema: fieldInfo.schema
+  }));
+}
+
+/**
+ * Build the body for POST /rest/servicedeskapi/request
+ */
+function buildServiceDeskPayload(route, serviceDeskInfo, context, resolvedUsers = {}) {
+  const requestTypeFields = getRequestTypeFields(serviceDeskInfo);
+  const payload = {
+    serviceDeskId: serviceDeskInfo.serviceDeskId,
+    requestTypeId: serviceDeskInfo.requestTypeId,
+    requestFieldValues: buildFieldValues(route.fields, context, requestTypeFields, [], resolvedUsers)
+  };
+
+  // Service Desk only accepts ADF rich-text values when asked to
+  if (JIRA_API_VERSION === '3') {
+    payload.isAdfRequest = true;
+  }
+  return payload;
+}
+
+/**
+ * Build the body for POST /rest/api/{version}/issue, including any JIRA_CUSTOM_FIELDS
+ */
+function buildIssuePayload(route, fieldMetadata, context, resolvedUsers = {}, extraFields = {}) {
+  // Summary and description are always settable
+  const issueTypeFields = getIssueTypeFields(fieldMetadata);
+  const mappedFields = buildFieldValues(route.fields, context, issueTypeFields, ['summary', 'description'], resolvedUsers);
+
+  const issueData = {
+    fields: {
+      ...mappedFields,
+      ...extraFields,
+      project: {
+        key: route.projectKey
+      },
+      issuetype: {
+        name: route.issueType
+      }
+    }
+  };
+
+  // Add custom fields from environment if configured
+  if (process.env.JIRA_CUSTOM_FIELDS) {
+    try {
+      const envCustomFields = JSON.parse(process.env.JIRA_CUSTOM_FIELDS);
+      Object.assign(issueData.fields, envCustomFields);
+    } catch (error) {
+      log.error('Error parsing JIRA_CUSTOM_FIELDS', { error });
+    }
+  }
+
+  return issueData;
+}
+
+module.exports = {
+  renderTemplate,
+  findMappedField,
+  isRichTextField,
+  transformFieldValue,
+  getMappingValue,
+  getMappingType,
+  buildFieldValues,
+  collectMappedValues,
+  getRequestTypeFields,
+  getIssueTypeFields,
+  buildServiceDeskPayload,
+  buildIssuePayload
+};
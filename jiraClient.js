@@ -0,0 +1,184 @@
+// Shared Jira HTTP client: one place for the base URL, authentication and API version
+const axios = require('axios');
+const { mrkdwnToAdf } = require('./adf');
+const { recordJiraCall } = require('./monitoring');
+const { log } = require('./logger');
+
+// basic = Cloud email + API token, pat = Data Center personal access token,
+// oauth = OAuth 2.0 client credentials for an Atlassian service account
+const JIRA_AUTH_TYPE = (process.env.JIRA_AUTH_TYPE || 'basic').toLowerCase();
+
+// REST API version for /rest/api calls; 3 takes descriptions and comments as Atlassian Document Format
+const JIRA_API_VERSION = process.env.JIRA_API_VERSION || '2';
+
+const OAUTH_TOKEN_URL = process.env.JIRA_OAUTH_TOKEN_URL || 'https://auth.atlassian.com/oauth/token';
+
+// Refresh OAuth tokens this long before they expire, so a request never carries a stale one
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Environment variables each auth type needs
+const REQUIRED_VARIABLES = {
+  basic: ['JIRA_BASE_URL', 'JIRA_EMAIL', 'JIRA_API_TOKEN'],
+  pat: ['JIRA_BASE_URL', 'JIRA_PAT'],
+  oauth: ['JIRA_BASE_URL', 'JIRA_CLOUD_ID', 'JIRA_OAUTH_CLIENT_ID', 'JIRA_OAUTH_CLIENT_SECRET']
+};
+
+let oauthToken = null;
+let oauthTokenRequest = null;
+
+/**
+ * What's wrong with the Jira auth settings, or null if they're complete
+ */
+function getJiraConfigProblem() {
+  const required = REQUIRED_VARIABLES[JIRA_AUTH_TYPE];
+  if (!required) {
+    return `Unknown JIRA_AUTH_TYPE "${JIRA_AUTH_TYPE}" - use basic, pat or oauth`;
+  }
+  if (!['2', '3'].includes(JIRA_API_VERSION)) {
+    return `Unknown JIRA_API_VERSION "${JIRA_API_VERSION}" - use 2 or 3`;
+  }
+  // Data Center only has REST v2
+  if (JIRA_AUTH_TYPE === 'pat' && JIRA_API_VERSION === '3') {
+    return 'JIRA_API_VERSION=3 is only available on Jira Cloud - use 2 with a personal access token';
+  }
+
+  const missing = required.filter(name => !process.env[name]);
+  return missing.length > 0 ? `JIRA_AUTH_TYPE=${JIRA_AUTH_TYPE} needs ${missing.join(', ')}` : null;
+}
+
+/**
+ * The settings to check when Jira rejects the credentials, for error messages
+ */
+function describeJiraCredentials() {
+  return REQUIRED_VARIABLES[JIRA_AUTH_TYPE]?.join(', ') || 'JIRA_AUTH_TYPE';
+}
+
+/**
+ * Path of a core REST resource in the configured API version, e.g. jiraApiPath('issue') -> /rest/api/3/issue
+ */
+function jiraApiPath(resource) {
+  return `/rest/api/${JIRA_API_VERSION}/${resource}`;
+}
+
+/**
+ * Path of the JQL search endpoint. Jira Cloud replaced /search with /search/jql (v3);
+ * Data Center only has /search.
+ */
+function jiraSearchPath() {
+  return JIRA_AUTH_TYPE === 'pat' ? jiraApiPath('search') : '/rest/api/3/search/jql';
+}
+
+/**
+ * Text for a rich-text field or comment body: mrkdwn as ADF on v3, unchanged on v2
+ */
+function toJiraRichText(text) {
+  return JIRA_API_VERSION === '3' ? mrkdwnToAdf(text) : text;
+}
+
+/**
+ * A user field value: Cloud identifies users by accountId, Data Center by username
+ */
+function jiraUserReference(id) {
+  return JIRA_AUTH_TYPE === 'pat' ? { name: id } : { accountId: id };
+}
+
+/**
+ * Get a service account access token, reusing the cached one until shortly before it expires
+ */
+async function getOAuthToken() {
+  if (oauthToken && oauthToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return oauthToken.accessToken;
+  }
+
+  // Requests that arrive while a token is being fetched wait for the same one
+  if (!oauthTokenRequest) {
+    oauthTokenRequest = axios.post(OAUTH_TOKEN_URL, {
+      grant_type: 'client_credentials',
+      client_id: process.env.JIRA_OAUTH_CLIENT_ID,
+      client_secret: process.env.JIRA_OAUTH_CLIENT_SECRET
+    }, {
+      headers: { 'Content-Type': 'application/json' }
+    }).then(response => {
+      oauthToken = {
+        accessToken: response.data.access_token,
+        expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+      };
+      log.info('Fetched Jira OAuth access token', { expiresInSeconds: response.data.expires_in });
+      return oauthToken.accessToken;
+    }).finally(() => {
+      oauthTokenRequest = null;
+    });
+  }
+
+  return oauthTokenRequest;
+}
+
+/**
+ * Authorization header value for the configured auth type
+ */
+async function getAuthorizationHeader() {
+  if (JIRA_AUTH_TYPE === 'pat') {
+    return `Bearer ${process.env.JIRA_PAT}`;
+  }
+  if (JIRA_AUTH_TYPE === 'oauth') {
+    return `Bearer ${await getOAuthToken()}`;
+  }
+  return `Basic ${Buffer.from(
+    `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
+  ).toString('base64')}`;
+}
+
+/**
+ * Base URL for API calls. OAuth tokens only work through Atlassian's API gateway;
+ * browse links keep using JIRA_BASE_URL.
+ */
+function getApiBaseUrl() {
+  if (JIRA_AUTH_TYPE === 'oauth') {
+    return `https://api.atlassian.com/ex/jira/${process.env.JIRA_CLOUD_ID}`;
+  }
+  return process.env.JIRA_BASE_URL;
+}
+
+// Every Jira call goes through this client: paths are relative, e.g. jira.get('/rest/api/2/myself')
+const jira = axios.create();
+
+jira.interceptors.request.use(async config => {
+  const problem = getJiraConfigProblem();
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  config.baseURL = getApiBaseUrl();
+  config.headers.Authorization = await getAuthorizationHeader();
+  return config;
+});
+
+// Remember the last Jira call's outcome for /healthz
+jira.interceptors.response.use(
+  response => {
+    recordJiraCall(null);
+    return response;
+  },
+  async error => {
+    // A revoked or rotated OAuth token: fetch a new one and try once more
+    if (JIRA_AUTH_TYPE === 'oauth' && error.response?.status === 401 && error.config && !error.config.retriedWithNewToken) {
+      oauthToken = null;
+      return jira.request({ ...error.config, retriedWithNewToken: true });
+    }
+
+    if (error.response || error.isAxiosError) recordJiraCall(error);
+    return Promise.reject(error);
+  }
+);
+
+module.exports = {
+  jira,
+  JIRA_AUTH_TYPE,
+  JIRA_API_VERSION,
+  getJiraConfigProblem,
+  describeJiraCredentials,
+  jiraApiPath,
+  jiraSearchPath,
+  jiraUserReference,
+  toJiraRichText
+};
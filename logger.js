@@ -0,0 +1,111 @@
+// Structured JSON logging with employee details redacted, for Railway's log search
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+let logLevel = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Set LOG_REDACT=false to see employee details when debugging locally
+const REDACT = process.env.LOG_REDACT !== 'false';
+
+// Fields that hold employee details or message text, wherever they appear in a log entry
+const REDACTED_FIELDS = new Set([
+  'name', 'preferredName', 'employee', 'manager', 'email', 'emailAddress',
+  'title', 'department', 'employmentType', 'workLocation', 'startDate', 'lastDay', 'reasonCategory',
+  'requesterEmail', 'raiseOnBehalfOf', 'userName', 'displayName', 'realName', 'real_name',
+  'text', 'summary', 'description', 'subject', 'query',
+  ...(process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean)
+]);
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+/**
+ * Copy a value with redacted fields replaced and email addresses masked
+ */
+function redact(value, depth = 0) {
+  if (!REDACT) return value;
+  if (typeof value === 'string') return value.replace(EMAIL_PATTERN, '[email]');
+  if (value === null || typeof value !== 'object' || depth > 6) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_FIELDS.has(key) && item !== null && item !== undefined && item !== '' ? '[redacted]' : redact(item, depth + 1)
+  ]));
+}
+
+/**
+ * Turn an error into loggable fields: the message, plus the HTTP status and
+ * Jira/Slack error details when it came from an API call
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+
+  const fields = { message: error.message };
+  if (error.response?.status) fields.status = error.response.status;
+  if (error.response?.data) fields.response = error.response.data;
+  if (error.data?.error) fields.slackError = error.data.error;
+  if (error.code) fields.code = error.code;
+  // Stack traces only help for our own bugs, not for API errors
+  if (!fields.status && !fields.slackError) fields.stack = error.stack;
+  return fields;
+}
+
+/**
+ * Write one log entry as a JSON line
+ */
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: redact(message) };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = redact(value instanceof Error ? serializeError(value) : value);
+  }
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (level === 'error' || level === 'warn') {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+const log = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Log entry for Bolt's variadic logger calls, e.g. logger.error('An unhandled error occurred:', error)
+ */
+function writeVariadic(level, args) {
+  const words = [];
+  const fields = {};
+
+  for (const arg of args) {
+    if (typeof arg === 'string' || typeof arg === 'number') {
+      words.push(String(arg));
+    } else if (arg instanceof Error) {
+      fields.error = arg;
+    } else if (arg !== undefined) {
+      fields.detail = arg;
+    }
+  }
+
+  write(level, words.join(' ').replace(/:$/, ''), fields);
+}
+
+// Bolt's Logger interface, so Bolt's and the Slack Web API's own logs are structured too; our code uses `log`
+const boltLogger = {
+  debug: (...args) => writeVariadic('debug', args),
+  info: (...args) => writeVariadic('info', args),
+  warn: (...args) => writeVariadic('warn', args),
+  error: (...args) => writeVariadic('error', args),
+  setLevel: level => {
+    if (LOG_LEVELS.includes(level)) logLevel = level;
+  },
+  getLevel: () => logLevel,
+  setName: () => {}
+};
+
+module.exports = { log, boltLogger, redact };
@@ -0,0 +1,332 @@
+// Parsing HR notices (Rippling, BambooHR, Workday, ...) posted in Slack into employee details
+
+// Field labels HR tools use for each detail, tried in order. Used for both
+// structured attachment/section fields and "Label: value" lines in the text.
+const ONBOARDING_FIELD_LABELS = {
+  name: ['New Hire', 'Employee Name', 'Full Name', 'Name'],
+  preferredName: ['Preferred Name'],
+  startDate: ['Start Date', 'Hire Date'],
+  title: ['Title', 'Job Title'],
+  department: ['Department'],
+  manager: ['Manager', 'Reports To'],
+  employmentType: ['Employment Type'],
+  workLocation: ['Work Location', 'Location'],
+  email: ['Email', 'Work Email'],
+};
+
+const OFFBOARDING_FIELD_LABELS = {
+  employee: ['Termination', 'Terminated Employee', 'Departing Employee', 'Leave of Absence', 'Employee', 'Employee Name', 'Name'],
+  lastDay: ['Last Day', 'Last Day of Work', 'Last Working Day', 'Termination Date', 'Leave Start Date'],
+  title: ['Title', 'Job Title'],
+  department: ['Department'],
+  manager: ['Manager', 'Reports To'],
+  reasonCategory: ['Reason Category', 'Termination Reason', 'Termination Type', 'Leave Type', 'Reason'],
+  email: ['Email', 'Work Email'],
+};
+
+// Details each kind of notice should have, reported in Slack when missing
+const EXPECTED_FIELDS = {
+  onboarding: ['name', 'startDate', 'title', 'department', 'manager', 'email'],
+  offboarding: ['employee', 'lastDay', 'manager', 'reasonCategory'],
+};
+
+// Readable names for parsed details
+const DETAIL_DISPLAY_NAMES = {
+  name: 'Name',
+  preferredName: 'Preferred Name',
+  startDate: 'Start Date',
+  title: 'Title',
+  department: 'Department',
+  manager: 'Manager',
+  employmentType: 'Employment Type',
+  workLocation: 'Work Location',
+  email: 'Email',
+  employee: 'Employee',
+  lastDay: 'Last Day',
+  reasonCategory: 'Reason',
+};
+
+/**
+ * Message parsers, tried in order. Each says whether it recognizes a message
+ * and which labels its tool uses; the Generic parser accepts anything.
+ */
+const MESSAGE_PARSERS = [
+  {
+    name: 'Rippling',
+    recognizes: (message, text) => isFromApp(message, 'rippling') || /New Hire:|rippling/i.test(text),
+    labels: {
+      onboarding: ONBOARDING_FIELD_LABELS,
+      offboarding: OFFBOARDING_FIELD_LABELS,
+    },
+  },
+  {
+    name: 'BambooHR',
+    recognizes: (message, text) => isFromApp(message, 'bamboohr') || /bamboohr/i.test(text),
+    labels: {
+      onboarding: {
+        ...ONBOARDING_FIELD_LABELS,
+        name: ['New Employee', 'Employee', 'Name'],
+        startDate: ['Hire Date', 'Start Date'],
+        title: ['Job Title', 'Title'],
+        manager: ['Reports To', 'Manager'],
+        workLocation: ['Location', 'Work Location'],
+      },
+      offboarding: {
+        ...OFFBOARDING_FIELD_LABELS,
+        lastDay: ['Termination Date', 'Last Day'],
+        reasonCategory: ['Termination Reason', 'Termination Type', 'Reason'],
+      },
+    },
+  },
+  {
+    name: 'Workday',
+    recognizes: (message, text) => isFromApp(message, 'workday') || /workday/i.test(text),
+    labels: {
+      onboarding: {
+        ...ONBOARDING_FIELD_LABELS,
+        name: ['Worker', 'Employee', 'Name'],
+        startDate: ['Hire Date', 'Start Date'],
+        title: ['Business Title', 'Job Profile', 'Title'],
+        department: ['Supervisory Organization', 'Department'],
+        employmentType: ['Worker Type', 'Employee Type', 'Employment Type'],
+      },
+      offboarding: {
+        ...OFFBOARDING_FIELD_LABELS,
+        employee: ['Worker', 'Employee', 'Name'],
+        lastDay: ['Last Day of Work', 'Termination Date', 'Last Day'],
+        reasonCategory: ['Primary Reason', 'Termination Reason', 'Reason'],
+      },
+    },
+  },
+  {
+    name: 'Generic',
+    recognizes: () => true,
+    labels: {
+      onboarding: ONBOARDING_FIELD_LABELS,
+      offboarding: OFFBOARDING_FIELD_LABELS,
+    },
+  },
+];
+
+/**
+ * Check whether a message was posted by a given app or bot integration
+ */
+function isFromApp(message, appName) {
+  const senderNames = [
+    message.username,
+    message.bot_profile?.name,
+    ...(message.attachments || []).map(att => att.author_name || att.service_name),
+  ];
+  return senderNames.some(name => name && name.toLowerCase().includes(appName));
+}
+
+/**
+ * Strip Slack formatting from a value, e.g. "*Jane*" or "<mailto:j@x.com|j@x.com>"
+ */
+function cleanSlackValue(value) {
+  return value
+    .replace(/<(?:mailto:|https?:\/\/)[^|>]*\|([^>]+)>/g, '$1')
+    .replace(/<mailto:([^>]+)>/g, '$1')
+    .replace(/^[*_~\s]+|[*_~\s]+$/g, '')
+    .trim();
+}
+
+/**
+ * Normalize a field label for comparison ("*Start Date:*" -> "start date")
+ */
+function normalizeLabel(label) {
+  return label.replace(/[*_:]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Collect label/value pairs from attachment fields and section block fields
+ */
+function extractStructuredFields(message) {
+  const structured = {};
+
+  (message.attachments || []).forEach(att => {
+    (att.fields || []).forEach(field => {
+      if (field.title && field.value) {
+        structured[normalizeLabel(field.title)] = cleanSlackValue(field.value);
+      }
+    });
+  });
+
+  (message.blocks || []).forEach(block => {
+    if (block.type !== 'section' || !block.fields) return;
+
+    // Section fields look like "*Start Date:*\n12/1/25" or "*Start Date:* 12/1/25"
+    block.fields.forEach(field => {
+      const fieldText = field.text || '';
+      const separator = fieldText.includes('\n') ? fieldText.indexOf('\n') : fieldText.indexOf(':');
+      if (separator <= 0) return;
+
+      const label = normalizeLabel(fieldText.slice(0, separator));
+      const value = cleanSlackValue(fieldText.slice(separator + 1).replace(/^\*/, ''));
+      if (label && value) {
+        structured[label] = value;
+      }
+    });
+  });
+
+  return structured;
+}
+
+/**
+ * Extract details using a label table: structured fields first, then "Label: value" lines
+ */
+function extractLabelledDetails(structured, text, labelTable) {
+  const details = {};
+
+  for (const [key, labels] of Object.entries(labelTable)) {
+    for (const label of labels) {
+      const structuredValue = structured[label.toLowerCase()];
+      if (structuredValue) {
+        details[key] = structuredValue;
+        break;
+      }
+    }
+    if (details[key]) continue;
+
+    for (const label of labels) {
+      // Label at the start of a line, allowing emoji, bullets or bold before it
+      const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`^[^\\w\\n]*${escaped}\\*?:\\*?[ \\t]*(.+?)[ \\t]*$`, 'im');
+      const match = text.match(pattern);
+      if (match && cleanSlackValue(match[1])) {
+        details[key] = cleanSlackValue(match[1]);
+        break;
+      }
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Work out what kind of HR notice a message is, so it can go to the right route
+ */
+function detectMessageType(text) {
+  // Only headers and labels at the start of a line count, never a word in passing
+  // ("the termination of the old VPN"); emoji, bullets or bold may come before them
+  const lineStart = '^(?:[^\\w\\n]|:[\\w+-]+:)*';
+  const startsLine = pattern => new RegExp(lineStart + pattern, 'im').test(text);
+
+  if (startsLine('(?:new hire|new employee)\\*?:')) {
+    return 'onboarding';
+  }
+  if (startsLine('(?:employee\\s+)?(?:termination|terminated|offboarding|leave of absence)\\b') ||
+      startsLine('(?:last day(?: of work)?|last working day|termination date)\\*?:')) {
+    return 'offboarding';
+  }
+  if (startsLine('(?:start date|hire date)\\*?:')) {
+    return 'onboarding';
+  }
+  return null;
+}
+
+/**
+ * Run a message through the first parser that recognizes it.
+ * Returns the parser name, message type, parsed details and missing expected fields.
+ */
+function parseMessage(message, text) {
+  const parser = MESSAGE_PARSERS.find(p => p.recognizes(message, text));
+  const structured = extractStructuredFields(message);
+
+  // Structured field labels count as "Label:" lines when detecting the notice type
+  const structuredLabels = Object.keys(structured).map(label => `${label}:`).join('\n');
+  const messageType = detectMessageType(`${text}\n${structuredLabels}`);
+  const labelTable = parser.labels[messageType || 'onboarding'];
+
+  const details = extractLabelledDetails(structured, text, labelTable);
+
+  if (messageType === 'offboarding') {
+    details.noticeType = /leave of absence|leave notice|going on leave/i.test(text) ? 'leave' : 'termination';
+  }
+
+  return {
+    parser: parser.name,
+    messageType: messageType,
+    details: details,
+    missingFields: findMissingFields(messageType, details),
+  };
+}
+
+/**
+ * List the expected details a message type is missing
+ */
+function findMissingFields(messageType, details) {
+  return (EXPECTED_FIELDS[messageType] || []).filter(key => !details[key]);
+}
+
+/**
+ * Extract full text content from a Slack message, including blocks and attachments
+ */
+function extractMessageText(message) {
+  let fullText = '';
+
+  // Get main text field
+  if (message.text) {
+    fullText += message.text;
+  }
+
+  // Extract text from blocks (used by apps like Rippling)
+  if (message.blocks && message.blocks.length > 0) {
+    const blockTexts = message.blocks.map(block => {
+      if (block.type === 'section' && (block.text || block.fields)) {
+        // Sections can have a text body, a grid of fields, or both
+        return [block.text?.text, ...(block.fields || []).map(field => field.text)]
+          .filter(Boolean)
+          .join('\n');
+      } else if (block.type === 'rich_text' && block.elements) {
+        // Handle rich text blocks
+        return block.elements.map(element => {
+          if (element.elements) {
+            return element.elements.map(e => e.text || '').join('');
+          }
+          return '';
+        }).join('\n');
+      }
+      return '';
+    }).filter(text => text.length > 0);
+
+    if (blockTexts.length > 0) {
+      if (fullText) fullText += '\n\n';
+      fullText += blockTexts.join('\n\n');
+    }
+  }
+
+  // Extract text from attachments
+  if (message.attachments && message.attachments.length > 0) {
+    const attachmentTexts = message.attachments.map(att => {
+      let attText = '';
+      if (att.pretext) attText += att.pretext + '\n';
+      if (att.text) attText += att.text + '\n';
+      if (att.fields) {
+        att.fields.forEach(field => {
+          if (field.title) attText += `*${field.title}*\n`;
+          if (field.value) attText += `${field.value}\n`;
+        });
+      }
+      return attText.trim();
+    }).filter(text => text.length > 0);
+
+    if (attachmentTexts.length > 0) {
+      if (fullText) fullText += '\n\n';
+      fullText += attachmentTexts.join('\n\n');
+    }
+  }
+
+  return fullText || 'No message content available';
+}
+
+module.exports = {
+  ONBOARDING_FIELD_LABELS,
+  OFFBOARDING_FIELD_LABELS,
+  EXPECTED_FIELDS,
+  DETAIL_DISPLAY_NAMES,
+  MESSAGE_PARSERS,
+  parseMessage,
+  findMissingFields,
+  extractMessageText
+};
@@ -0,0 +1,131 @@
+// Health and Prometheus metrics: served at /healthz and /metrics
+const startedAt = Date.now();
+
+const COUNTERS = {
+  slack_jira_reactions_total: 'Trigger reactions on messages in a routed channel',
+  slack_jira_tickets_created_total: 'Jira tickets created from Slack messages',
+  slack_jira_ticket_failures_total: 'Tickets that could not be created, by cause',
+  slack_jira_parse_misses_total: 'Expected details a parser could not find in a message'
+};
+
+// Counter name -> Map of label set (as JSON) -> count
+const counterValues = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+
+const health = {
+  slack: { connected: false, state: 'starting', since: new Date(startedAt).toISOString() },
+  jira: { lastSuccessAt: null, lastFailureAt: null, lastFailure: null }
+};
+
+/**
+ * Add one to a counter for a set of labels, e.g. incrementCounter('slack_jira_reactions_total', { route: 'onboarding' })
+ */
+function incrementCounter(name, labels = {}) {
+  const values = counterValues.get(name);
+  if (!values) throw new Error(`Unknown counter ${name}`);
+
+  const key = JSON.stringify(labels);
+  values.set(key, (values.get(key) || 0) + 1);
+}
+
+/**
+ * Classify why a ticket couldn't be created, for the failures counter
+ */
+function getFailureCause(error) {
+  const status = error.response?.status;
+  if (!status) return error.isAxiosError ? 'jira_unreachable' : 'error';
+  if (status === 401 || status === 403) return 'jira_auth';
+  if (status === 429) return 'jira_rate_limited';
+  if (status >= 500) return 'jira_unavailable';
+  return 'jira_rejected';
+}
+
+/**
+ * Follow the Socket Mode connection's state changes
+ */
+function trackSlackConnection(socketModeClient) {
+  ['connecting', 'connected', 'reconnecting', 'disconnecting', 'disconnected'].forEach(state => {
+    socketModeClient.on(state, () => {
+      health.slack = { connected: state === 'connected', state, since: new Date().toISOString() };
+    });
+  });
+}
+
+/**
+ * Mark the HTTP receiver as up. In HTTP mode Slack calls us, so there's no connection to follow.
+ */
+function markSlackReceiverListening() {
+  health.slack = { connected: true, state: 'listening', since: new Date().toISOString() };
+}
+
+/**
+ * Remember the outcome of a Jira API call
+ */
+function recordJiraCall(error) {
+  if (!error) {
+    health.jira.lastSuccessAt = new Date().toISOString();
+    return;
+  }
+  health.jira.lastFailureAt = new Date().toISOString();
+  health.jira.lastFailure = error.response?.status ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+/**
+ * Render the counters in Prometheus' text exposition format
+ */
+function renderMetrics() {
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const lines = [];
+
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const [key, count] of counterValues.get(name)) {
+      const labels = Object.entries(JSON.parse(key)).map(([label, value]) => `${label}="${escape(value)}"`);
+      lines.push(`${name}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${count}`);
+    }
+  }
+
+  lines.push(
+    '# HELP slack_jira_uptime_seconds Seconds since the bot started',
+    '# TYPE slack_jira_uptime_seconds gauge',
+    `slack_jira_uptime_seconds ${Math.round((Date.now() - startedAt) / 1000)}`,
+    '# HELP slack_jira_slack_connected Whether Slack events can be received (Socket Mode connected or HTTP receiver listening)',
+    '# TYPE slack_jira_slack_connected gauge',
+    `slack_jira_slack_connected ${health.slack.connected ? 1 : 0}`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * GET /healthz - 200 while Slack events can be received, 503 otherwise.
+ * Jira problems are reported but don't fail the check, so an Atlassian outage doesn't restart the bot.
+ */
+function handleHealthCheck(req, res) {
+  const body = {
+    status: health.slack.connected ? 'ok' : 'unavailable',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    slack: health.slack,
+    jira: health.jira
+  };
+
+  res.writeHead(health.slack.connected ? 200 : 503, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * GET /metrics - Prometheus scrape endpoint
+ */
+function handleMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+  res.end(renderMetrics());
+}
+
+module.exports = {
+  incrementCounter,
+  getFailureCause,
+  trackSlackConnection,
+  markSlackReceiverListening,
+  recordJiraCall,
+  renderMetrics,
+  handleHealthCheck,
+  handleMetrics
+};
@@ -0,0 +1,336 @@
+// Offline replay: run saved Slack messages through the parser and field mapping and
+// print the Jira payload the bot would send, without contacting Slack or Jira
+require('dotenv').config();
+// Only problems from the bot's modules, not their routine logs, in the replay output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+// Fixtures always replay with these settings, whatever this machine's .env says, so their
+// output only changes when the parser or field mapping does. Set before the modules read them.
+const FIXTURE_SETTINGS = {
+  DATE_LOCALE: 'en-US',
+  BUSINESS_TIMEZONE: 'UTC',
+  JIRA_AUTH_TYPE: 'basic',
+  JIRA_API_VERSION: '2'
+};
+if (process.argv.includes('--fixtures')) {
+  Object.assign(process.env, FIXTURE_SETTINGS);
+}
+
+// --routes replaces ROUTES_FILE, which routes.js reads when it loads
+const routesArgIndex = process.argv.indexOf('--routes');
+if (routesArgIndex !== -1 && process.argv[routesArgIndex + 1]) {
+  process.env.ROUTES_FILE = process.argv[routesArgIndex + 1];
+}
+const fs = require('fs');
+const path = require('path');
+const { loadRoutes, selectRoute } = require('./routes');
+const { parseMessage, extractMessageText } = require('./messageParser');
+const { setFixedNow, formatLocalDate, getDateWarnings } = require('./dates');
+const {
+  findMappedField,
+  getMappingValue,
+  getMappingType,
+  getRequestTypeFields,
+  getIssueTypeFields,
+  buildServiceDeskPayload,
+  buildIssuePayload
+} = require('./fieldMapping');
+const { jiraApiPath } = require('./jiraClient');
+
+const USAGE = `Usage: node replay.js <message.json | export-dir> [options]
+       node replay.js --fixtures <dir> [--update] [options]
+
+Replays saved Slack messages through the parser and field mapping and prints
+the Service Desk or REST payload that would be sent to Jira. Nothing is sent.
+
+Input: a single message, a conversations.history response ({ "messages": [...] }),
+an array of messages, or a channel directory from a Slack export.
+
+Options:
+  --routes <file>    Routing rules file to use instead of ROUTES_FILE
+  --route <name>     Use this routing rule instead of picking one by message type
+  --channel <name>   Only consider the routing rules for this channel
+  --schema <file>    Cached field schema: a createmeta response (REST payload) or a
+                     request type's /field response (Service Desk payload).
+                     Without one, only summary and description are mapped.
+  --today <date>     Value of {today} in templates (default: today's date)
+  --fixtures <dir>   Replay every <name>.json and compare with <name>.expected.json
+  --update           With --fixtures, write the expected files instead of comparing
+`;
+
+// Message subtypes that can carry an HR notice; joins, topic changes etc. are skipped
+const REPLAYED_SUBTYPES = [undefined, 'bot_message', 'file_share', 'thread_broadcast'];
+
+// Fixture output must not depend on who runs it or when: "today" is pinned (for {today} and
+// the year of dates written without one), along with FIXTURE_SETTINGS
+const FIXTURE_NOW = '2025-01-01T12:00:00Z';
+const FIXTURE_CONTEXT = {
+  userName: 'Fixture Author',
+  messageLink: 'https://example.slack.com/archives/C00000000/p0000000000000000'
+};
+
+/**
+ * Parse command-line arguments into { inputs, options }
+ */
+function parseArgs(argv) {
+  const options = {};
+  const inputs = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--update' || arg === '--help' || arg === '-h') {
+      options[arg.replace(/^-+/, '')] = true;
+    } else if (arg.startsWith('--')) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      inputs.push(arg);
+    }
+  }
+
+  return { inputs, options };
+}
+
+/**
+ * Read and parse a JSON file, naming the file if it isn't valid JSON
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Couldn't read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the messages from a saved message, API response, array or Slack export directory
+ */
+function loadMessages(inputPath) {
+  if (fs.statSync(inputPath).isDirectory()) {
+    // A Slack export has one file of messages per channel per day, e.g. 2025-11-03.json
+    return fs.readdirSync(inputPath)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .flatMap(name => loadMessages(path.join(inputPath, name)));
+  }
+
+  const data = readJson(inputPath);
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.messages)) return data.messages;
+  // An event payload or conversations.history response wrapping one message
+  if (data.message) return [data.message];
+  if (data.event) return [data.event];
+  return [data];
+}
+
+/**
+ * Load a cached field schema: either Service Desk request type fields or issue create metadata
+ */
+function loadSchema(schemaPath) {
+  if (!schemaPath) return null;
+  const data = readJson(schemaPath);
+
+  if (Array.isArray(data.requestTypeFields)) {
+    return {
+      kind: 'servicedesk',
+      serviceDeskInfo: {
+        serviceDeskId: data.serviceDeskId || '<serviceDeskId>',
+        requestTypeId: data.requestTypeId || '<requestTypeId>',
+        fields: data.requestTypeFields
+      }
+    };
+  }
+
+  // A full createmeta response, or just the issue type's fields map
+  const fieldMetadata = data.projects
+    ? data.projects[0]?.issuetypes?.[0]?.fields || {}
+    : data.fields || data;
+  return { kind: 'issue', fieldMetadata };
+}
+
+/**
+ * Stand in for the Jira user lookup: every user-typed value gets a placeholder accountId
+ */
+function placeholderUsers(mappings, context, availableFields) {
+  const resolvedUsers = {};
+
+  for (const mapping of mappings) {
+    const field = findMappedField(mapping.field, availableFields);
+    if (!field || getMappingType(mapping, field) !== 'user') continue;
+
+    const value = getMappingValue(mapping, context);
+    if (value !== null) {
+      resolvedUsers[value] = `<accountId for ${value}>`;
+    }
+  }
+
+  return resolvedUsers;
+}
+
+/**
+ * Run one message through the same parse → route → mapping steps as the bot
+ */
+function replayMessage(message, routes, schema, contextOverrides) {
+  const text = extractMessageText(message);
+  const parsed = parseMessage(message, text);
+
+  const route = selectRoute(routes, parsed.messageType);
+  const result = {
+    parser: parsed.parser,
+    messageType: parsed.messageType,
+    details: parsed.details,
+    missingFields: parsed.missingFields,
+    route: route ? route.name : null
+  };
+
+  if (!route) return result;
+
+  const context = {
+    ...parsed.details,
+    text: text,
+    userName: message.user_profile?.real_name || message.user || message.username || 'Unknown User',
+    messageLink: `<link to message ${message.ts || 'unknown'}>`,
+    today: formatLocalDate(),
+    ...contextOverrides
+  };
+
+  if (schema?.kind === 'servicedesk' && route.requestType) {
+    const fields = getRequestTypeFields(schema.serviceDeskInfo);
+    result.request = 'POST /rest/servicedeskapi/request';
+    result.payload = buildServiceDeskPayload(route, schema.serviceDeskInfo, context, placeholderUsers(route.fields, context, fields));
+  } else {
+    // The bot falls back to the REST API when there's no request type
+    const fieldMetadata = schema?.kind === 'issue' ? schema.fieldMetadata : {};
+    const fields = getIssueTypeFields(fieldMetadata);
+    result.request = `POST ${jiraApiPath('issue')}`;
+    result.payload = buildIssuePayload(route, fieldMetadata, context, placeholderUsers(route.fields, context, fields));
+  }
+
+  return result;
+}
+
+/**
+ * Print a replayed message for a person to read
+ */
+function printResult(label, result) {
+  console.log(`\n=== ${label}`);
+  console.log(`Parser: ${result.parser} (${result.messageType || 'unrecognized'} message)`);
+  console.log('Details:', JSON.stringify(result.details, null, 2));
+  if (result.missingFields.length > 0) {
+    console.log(`Missing: ${result.missingFields.join(', ')}`);
+  }
+  // Not part of fixture output: whether a date is in the past depends on when it's run
+  getDateWarnings(result.details).forEach(warning => console.log(`⚠️ ${warning}`));
+
+  if (!result.route) {
+    console.log('Route: none - no routing rule handles this message type');
+    return;
+  }
+
+  console.log(`Route: ${result.route}`);
+  console.log(`${result.request}:`, JSON.stringify(result.payload, null, 2));
+}
+
+/**
+ * Replay every fixture in a directory against its expected output.
+ * Returns the number of fixtures that didn't match.
+ */
+function runFixtures(fixtureDir, routes, schema, update) {
+  setFixedNow(FIXTURE_NOW);
+  const fixtures = fs.readdirSync(fixtureDir)
+    .filter(name => name.endsWith('.json') && !name.endsWith('.expected.json'))
+    .sort();
+  let failures = 0;
+
+  for (const name of fixtures) {
+    const [message] = loadMessages(path.join(fixtureDir, name));
+    const result = replayMessage(message, routes, schema, FIXTURE_CONTEXT);
+    const expectedPath = path.join(fixtureDir, name.replace(/\.json$/, '.expected.json'));
+
+    if (update) {
+      fs.writeFileSync(expectedPath, `${JSON.stringify(result, null, 2)}\n`);
+      console.log(`📝 ${name}: wrote ${path.basename(expectedPath)}`);
+      continue;
+    }
+
+    if (!fs.existsSync(expectedPath)) {
+      failures++;
+      console.log(`❌ ${name}: no ${path.basename(expectedPath)} (run with --update to create it)`);
+      continue;
+    }
+
+    const actual = JSON.stringify(result, null, 2);
+    const expected = JSON.stringify(readJson(expectedPath), null, 2);
+    if (actual === expected) {
+      console.log(`✅ ${name}`);
+    } else {
+      failures++;
+      console.log(`❌ ${name}: output changed`);
+      printDiff(expected.split('\n'), actual.split('\n'));
+    }
+  }
+
+  console.log(`\n${fixtures.length - failures}/${fixtures.length} fixtures match`);
+  return failures;
+}
+
+/**
+ * Print the lines that differ between the expected and actual output
+ */
+function printDiff(expectedLines, actualLines) {
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let i = 0; i < length; i++) {
+    if (expectedLines[i] === actualLines[i]) continue;
+    if (expectedLines[i] !== undefined) console.log(`  - ${expectedLines[i]}`);
+    if (actualLines[i] !== undefined) console.log(`  + ${actualLines[i]}`);
+  }
+}
+
+function main() {
+  const { inputs, options } = parseArgs(process.argv.slice(2));
+
+  if (options.help || (inputs.length === 0 && !options.fixtures)) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  let routes = loadRoutes();
+  if (options.route) {
+    routes = routes.filter(route => route.name === options.route);
+    if (routes.length === 0) {
+      throw new Error(`No routing rule named "${options.route}"`);
+    }
+    // A named rule is used whatever the message type
+    routes = routes.map(route => ({ ...route, messageType: undefined }));
+  } else if (options.channel) {
+    routes = routes.filter(route => route.channel === options.channel.replace(/^#/, ''));
+    if (routes.length === 0) {
+      throw new Error(`No routing rules for #${options.channel.replace(/^#/, '')}`);
+    }
+  }
+
+  const schema = loadSchema(options.schema);
+  const contextOverrides = options.today ? { today: options.today } : {};
+
+  if (options.fixtures) {
+    const failures = runFixtures(options.fixtures, routes, schema, options.update);
+    process.exit(failures > 0 ? 1 : 0);
+  }
+
+  for (const inputPath of inputs) {
+    loadMessages(inputPath).forEach((message, index) => {
+      if (!REPLAYED_SUBTYPES.includes(message.subtype)) return;
+      const result = replayMessage(message, routes, schema, contextOverrides);
+      printResult(`${inputPath} #${index + 1} (ts ${message.ts || 'unknown'})`, result);
+    });
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,184 @@
+// Routing rules: which channel + emoji creates which kind of Jira ticket
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const ROUTES_FILE = process.env.ROUTES_FILE || path.join(__dirname, 'routes.json');
+
+// Field mapping used by routes that don't define their own "fields"
+const DEFAULT_FIELD_MAPPINGS = [
+  // The summary field doesn't support newlines - keep it single line
+  {
+    field: 'summary',
+    template: [
+      'Onboarding: {name} - Start Date: {startDate}',
+      'Onboarding: {name}',
+      'Onboarding - Start Date: {startDate}',
+      'Onboarding Request - {today}'
+    ]
+  },
+  {
+    field: ['description', 'Details'],
+    template: 'Onboarding request from Slack:\n\n{text}\n\nRequested by: {userName}\n\nSlack Message Link: {messageLink}'
+  },
+  { field: 'priority', source: 'priority', type: 'option', default: 'Low' },
+  { field: ['Name', 'Employee Name', 'Full Name'], source: 'name' },
+  { field: ['Start Date', 'Employment Start Date'], source: 'startDate', type: 'date' },
+  { field: ['Email', 'Email Address'], source: 'email' },
+  { field: 'Department', source: 'department' },
+  { field: ['Manager', 'Manager Information'], source: 'manager' },
+  { field: ['Title', 'Job Title', 'Position'], source: 'title' },
+  { field: 'Employment Type', source: 'employmentType' },
+  { field: ['Work Location', 'Location'], source: 'workLocation' }
+];
+
+// Field mapping used by offboarding routes that don't define their own "fields"
+const DEFAULT_OFFBOARDING_FIELD_MAPPINGS = [
+  {
+    field: 'summary',
+    template: [
+      'Offboarding: {employee} - Last Day: {lastDay}',
+      'Offboarding: {employee}',
+      'Offboarding Request - {today}'
+    ]
+  },
+  {
+    field: ['description', 'Details'],
+    template: 'Offboarding request from Slack:\n\n{text}\n\nRequested by: {userName}\n\nSlack Message Link: {messageLink}'
+  },
+  // Access revocation is time-sensitive
+  { field: 'priority', source: 'priority', type: 'option', default: 'High' },
+  { field: ['Name', 'Employee Name', 'Full Name'], source: 'employee' },
+  { field: ['Last Day', 'Last Working Day', 'Termination Date'], source: 'lastDay', type: 'date' },
+  { field: ['Email', 'Email Address'], source: 'email' },
+  { field: 'Department', source: 'department' },
+  { field: ['Manager', 'Manager Information'], source: 'manager' },
+  { field: ['Reason', 'Reason Category', 'Termination Reason'], source: 'reasonCategory' }
+];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Load routing rules from ROUTES_FILE, or build a single rule from the
+ * legacy ONBOARDING_CHANNEL / TRIGGER_EMOJI / JIRA_* variables if there is no file
+ */
+function loadRoutes() {
+  let routeConfigs;
+
+  if (fs.existsSync(ROUTES_FILE)) {
+    try {
+      routeConfigs = JSON.parse(fs.readFileSync(ROUTES_FILE, 'utf8')).routes;
+    } catch (error) {
+      log.error('Error parsing routes file', { path: ROUTES_FILE, error: error.message });
+      process.exit(1);
+    }
+    log.info('Loaded routing rules', { path: ROUTES_FILE });
+  } else {
+    const issueType = process.env.JIRA_ISSUE_TYPE || 'Task';
+    const defaultRoute = {
+      name: 'default',
+      channel: process.env.ONBOARDING_CHANNEL || 'eel-onboarding',
+      emoji: process.env.TRIGGER_EMOJI || 'eyes', // 👀 by default
+      projectKey: process.env.JIRA_PROJECT_KEY,
+      issueType: issueType,
+      // "New Hire Onboarding" is a Service Desk request type, not an issue type
+      requestType: issueType === 'New Hire Onboarding' ? issueType : undefined,
+      review: process.env.REVIEW_MODE === 'true',
+      allowedUsers: splitListVariable(process.env.ALLOWED_REACTORS),
+      allowedAuthors: splitListVariable(process.env.ALLOWED_MESSAGE_AUTHORS),
+      digest: process.env.DIGEST_SCHEDULE ? { schedule: process.env.DIGEST_SCHEDULE } : undefined,
+      atRiskAlert: process.env.AT_RISK_BUSINESS_DAYS ? {
+        businessDays: Number(process.env.AT_RISK_BUSINESS_DAYS),
+        notify: splitListVariable(process.env.AT_RISK_NOTIFY)
+      } : undefined
+    };
+    routeConfigs = [defaultRoute];
+
+    // Termination / leave notices in the same channel go to their own request type
+    if (process.env.OFFBOARDING_REQUEST_TYPE) {
+      routeConfigs.unshift({
+        ...defaultRoute,
+        name: 'offboarding',
+        messageType: 'offboarding',
+        requestType: process.env.OFFBOARDING_REQUEST_TYPE,
+        // Start-date digests and alerts are about new hires
+        digest: undefined,
+        atRiskAlert: undefined
+      });
+    }
+  }
+
+  if (!Array.isArray(routeConfigs) || routeConfigs.length === 0) {
+    log.error('No routing rules found', { path: ROUTES_FILE });
+    process.exit(1);
+  }
+
+  return routeConfigs.map((route, index) => {
+    const name = route.name || `route-${index + 1}`;
+    const missing = ['channel', 'emoji', 'projectKey'].filter(key => !route[key]);
+
+    if (missing.length > 0) {
+      log.error(`Routing rule "${name}" is missing: ${missing.join(', ')}`);
+      process.exit(1);
+    }
+
+    if (route.digest && !parseDigestSchedule(route.digest.schedule)) {
+      log.error(`Routing rule "${name}" has an invalid digest schedule "${route.digest.schedule}" (expected e.g. "monday 09:00")`);
+      process.exit(1);
+    }
+
+    return {
+      ...route,
+      name: name,
+      channel: route.channel.replace(/^#/, ''),
+      emoji: route.emoji.replace(/:/g, ''),
+      issueType: route.issueType || 'Task',
+      // Workspace (team) IDs the rule applies to when the app is installed in several; empty = all of them
+      teams: route.team ? [].concat(route.team) : [],
+      fields: route.fields || (route.messageType === 'offboarding'
+        ? DEFAULT_OFFBOARDING_FIELD_MAPPINGS
+        : DEFAULT_FIELD_MAPPINGS)
+    };
+  });
+}
+
+/**
+ * Parse a weekly schedule like "monday 09:00" into a weekday (0 = Sunday) and time, or null if invalid
+ */
+function parseDigestSchedule(schedule) {
+  const match = /^([a-z]+)\s+(\d{1,2}):(\d{2})$/i.exec((schedule || '').trim());
+  if (!match) return null;
+
+  const day = WEEKDAYS.indexOf(match[1].toLowerCase());
+  const hours = Number(match[2]);
+  const minutes = Number(match[3]);
+  if (day === -1 || hours > 23 || minutes > 59) return null;
+
+  return { day, hours, minutes };
+}
+
+/**
+ * Split a comma-separated environment variable into a list, or undefined if it isn't set
+ */
+function splitListVariable(value) {
+  if (!value) return undefined;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Pick the rule for a message type, preferring a rule for exactly that type
+ * over a catch-all rule with no messageType
+ */
+function selectRoute(candidateRoutes, messageType) {
+  return candidateRoutes.find(route => route.messageType && route.messageType === messageType)
+    || candidateRoutes.find(route => !route.messageType)
+    || null;
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPINGS,
+  DEFAULT_OFFBOARDING_FIELD_MAPPINGS,
+  loadRoutes,
+  parseDigestSchedule,
+  selectRoute
+};
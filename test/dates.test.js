@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Load dates.js fresh with a locale and time zone, since it reads them once at startup
+ */
+function loadDates(locale, timezone = 'UTC') {
+  process.env.DATE_LOCALE = locale;
+  process.env.BUSINESS_TIMEZONE = timezone;
+  delete require.cache[require.resolve('../dates')];
+  return require('../dates');
+}
+
+test('reads ambiguous numeric dates in the locale\'s day/month order', () => {
+  const us = loadDates('en-US');
+  assert.strictEqual(us.parseDate('1/12/25'), '2025-01-12');
+  assert.strictEqual(us.parseDate('01.12.2025'), '2025-01-12');
+
+  const gb = loadDates('en-GB');
+  assert.strictEqual(gb.parseDate('1/12/25'), '2025-12-01');
+  assert.strictEqual(gb.parseDate('01.12.2025'), '2025-12-01');
+});
+
+test('a part over 12 is the day whatever the locale', () => {
+  assert.strictEqual(loadDates('en-US').parseDate('13/1/25'), '2025-01-13');
+  assert.strictEqual(loadDates('en-GB').parseDate('1/13/25'), '2025-01-13');
+  assert.strictEqual(loadDates('en-US').parseDate('2/30/25'), null);
+});
+
+test('dates without a year take the year closest to today across new year', () => {
+  const dates = loadDates('en-US');
+
+  dates.setFixedNow('2025-12-20T12:00:00Z');
+  assert.strictEqual(dates.parseDate('January 5'), '2026-01-05');
+  assert.strictEqual(dates.parseDate('December 1st'), '2025-12-01');
+
+  dates.setFixedNow('2026-01-03T12:00:00Z');
+  assert.strictEqual(dates.parseDate('Dec 28'), '2025-12-28');
+  assert.strictEqual(dates.parseDate('5 Jan'), '2026-01-05');
+
+  dates.setFixedNow(null);
+});
+
+test('"today" is the business time zone\'s date, not the server\'s', () => {
+  const dates = loadDates('en-US', 'Pacific/Kiritimati');
+  dates.setFixedNow('2025-12-31T12:00:00Z');
+
+  assert.strictEqual(dates.getTodayIsoDate(), '2026-01-01');
+  assert.strictEqual(dates.parseDate('January 1'), '2026-01-01');
+  assert.deepStrictEqual(dates.getDateWarnings({ startDate: 'January 1' }), []);
+
+  dates.setFixedNow(null);
+});
+
+test('warns about unreadable dates, past dates and dates over a year out', () => {
+  const dates = loadDates('en-US');
+  dates.setFixedNow('2025-06-15T12:00:00Z');
+
+  const warningsFor = startDate => dates.getDateWarnings({ startDate });
+
+  assert.deepStrictEqual(warningsFor('2025-06-15'), []);
+  assert.deepStrictEqual(warningsFor('2026-06-15'), []);
+  assert.match(warningsFor('2025-06-14')[0], /is in the past/);
+  assert.match(warningsFor('2026-06-16')[0], /more than a year away/);
+  assert.match(warningsFor('next Tuesday')[0], /Couldn't read the Start Date/);
+
+  assert.deepStrictEqual(dates.getDateWarnings({ lastDay: '2025-06-14', email: 'not a date' }), [
+    'The Last Day "2025-06-14" (2025-06-14) is in the past - check it\'s right'
+  ]);
+
+  dates.setFixedNow(null);
+});
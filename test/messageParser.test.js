@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMessage } = require('../messageParser');
+
+/**
+ * Parse a plain-text message the way app.js does
+ */
+function parseText(text) {
+  return parseMessage({ text }, text);
+}
+
+test('recognizes a Rippling new hire notice as onboarding', () => {
+  const parsed = parseText('*New Hire:* Alex Example\n*Start Date:* 1/6/25\n*Manager:* Sam Sample');
+  assert.strictEqual(parsed.messageType, 'onboarding');
+  assert.strictEqual(parsed.details.name, 'Alex Example');
+});
+
+test('recognizes termination and leave notices as offboarding', () => {
+  assert.strictEqual(parseText('Termination: Taylor Placeholder\nLast Day: January 17').messageType, 'offboarding');
+  assert.strictEqual(parseText(':wave: Employee Offboarding\nEmployee: Taylor Placeholder').messageType, 'offboarding');
+
+  const leave = parseText('Leave of Absence: Taylor Placeholder\nLeave Start Date: 2/3/25');
+  assert.strictEqual(leave.messageType, 'offboarding');
+  assert.strictEqual(leave.details.noticeType, 'leave');
+});
+
+test('ignores offboarding words mentioned in passing', () => {
+  assert.strictEqual(parseText('Reminder: the termination of the old VPN is on Friday').messageType, null);
+  assert.strictEqual(parseText('Who covers offboarding while Sam is on leave of absence?').messageType, null);
+});
+
+test('a new hire notice that mentions termination stays onboarding', () => {
+  const parsed = parseText('New Hire: Alex Example\nStart Date: 1/6/25\nNote: replaces the role after the termination of the old contract');
+  assert.strictEqual(parsed.messageType, 'onboarding');
+});